@@ -1,17 +1,88 @@
 import User from '../Models/UserModel.js';
 import Notification from '../Models/Notification.js';
-import jwt from 'jsonwebtoken';
+import Session from '../Models/Session.js';
+import ApiToken from '../Models/ApiToken.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { MAX_IMAGE_SIZE } from '../config.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../Utilities/sessions.js';
+import { signChallengeToken, verifyChallengeToken, verifySecondFactor } from '../Utilities/twoFactor.js';
+import { sendMail } from '../Utilities/mailer.js';
+import { cancelDeletion } from '../Utilities/accountDeletion.js';
+import { getLoginLockout, recordLoginFailure, clearLoginFailures, getOtpLockout, recordOtpFailure, clearOtpFailures } from '../Utilities/bruteForce.js';
+import { validatePassword, describePasswordPolicy } from '../Utilities/passwordPolicy.js';
+
+// 429 for a locked-out login, telling the client when to retry
+const sendLockout = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
+};
+
+// Answer for a wrong OTP; once the attempts run out the code is already invalidated
+const sendOtpFailure = (res, { attemptsLeft, exhausted, locked, retryAfter }) => {
+  if (locked) return sendLockout(res, retryAfter);
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  if (exhausted)
+    return res.status(429).json({
+      success: false,
+      message: 'Too many incorrect codes. This code is no longer valid; please request a new one.'
+    });
+
+  return res.status(400).json({ success: false, message: 'Invalid or expired OTP', attemptsLeft });
+};
+
+// 400 listing every password policy rule the candidate breaks
+const sendWeakPassword = (res, errors) =>
+  res.status(400).json({ success: false, message: errors.join(' '), errors });
+
+// Final step of every successful login: record it, start a session, return tokens
+const completeLogin = async (user, req, res) => {
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Logging in during the grace period keeps the account
+  const deletionCancelled = await cancelDeletion(user._id);
+
+  const { token, refreshToken, expiresIn } = await createSession(user._id, req);
+
+  res.status(200).json({
+    success: true,
+    message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+    deletionCancelled,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      bio: user.bio,
+      profileImage: user.profileImage,
+      isEmailVerified: user.isEmailVerified,
+      role: user.role // User's actual role from DB
+    }
   });
 };
 
+// First factor accepted (password or identity provider): with 2FA on, the client
+// only gets a short-lived challenge token; otherwise the login completes
+export const beginLogin = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user._id)
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
 // --- Forgot Password (Step 1: Send OTP) ---
 export const forgotPassword = async (req, res) => {
   try {
@@ -25,31 +96,23 @@ export const forgotPassword = async (req, res) => {
 
     const user = await User.findOne({ email });
 
-    if (!user) {
-      return res.status(200).json({
-        success: true,
-        message: 'If the account exists, a password reset code has been sent to your notifications.'
-      });
-    }
+    // Same answer whether or not the account exists, so this can't be used to probe emails
+    const genericResponse = {
+      success: true,
+      message: 'If the account exists, a password reset code has been sent to its email address.'
+    };
 
-    const resetOTP = user.getResetPasswordOTP();
-    await user.save();
+    if (!user) return res.status(200).json(genericResponse);
 
-    await Notification.create({
-      user: user._id,
-      type: 'otp',
-      title: '🔐 Password Reset Code',
-      message: `Your one-time code for password reset is: ${resetOTP}. This code will expire in 10 minutes.`,
-      data: { otp: resetOTP, purpose: 'password_reset' }
-    });
+    const resetOTP = await user.generateOTP('password_reset');
 
-    console.log(`\n🔑 Password Reset OTP for ${email}: ${resetOTP}\n`);
+    try {
+      await sendMail(user.email, 'passwordReset', { username: user.username, otp: resetOTP });
+    } catch (mailError) {
+      console.error('🚨 Failed to send password reset email:', mailError.message);
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Password reset code successfully sent to your notifications.',
-      otp: resetOTP
-    });
+    res.status(200).json(genericResponse);
 
   } catch (error) {
     console.error(error);
@@ -71,13 +134,7 @@ export const resetPassword = async (req, res) => {
         message: 'Please provide email, OTP, and the new password.'
       });
 
-    if (newPassword.length < 6)
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long.'
-      });
-
-    const user = await User.findOne({ email }).select('+resetPasswordToken +resetPasswordExpires');
+    const user = await User.findOne({ email });
 
     if (!user)
       return res.status(404).json({
@@ -85,23 +142,32 @@ export const resetPassword = async (req, res) => {
         message: 'User not found.'
       });
 
-    const isValid = user.verifyResetPasswordOTP(otp);
+    // Checked before the OTP so a rejected password doesn't use up the code
+    const policy = validatePassword(newPassword, { username: user.username, email: user.email });
+    if (!policy.valid) return sendWeakPassword(res, policy.errors);
 
-    if (!isValid) {
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpires = undefined;
-      await user.save();
+    const lockout = await getOtpLockout(user._id, 'password_reset');
+    if (lockout.locked) return sendLockout(res, lockout.retryAfter);
 
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP.'
-      });
+    // Consumes the code on success, so it can't be used a second time
+    const isValid = await user.verifyOTP('password_reset', otp);
+
+    if (!isValid) {
+      const failure = await recordOtpFailure(user._id, 'password_reset');
+      if (failure.exhausted) await user.revokeOTP('password_reset');
+      return sendOtpFailure(res, failure);
     }
 
     user.password = newPassword;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
     await user.save();
+    await clearOtpFailures(user._id, 'password_reset');
+    // The account owner proved control of the mailbox; lift any password lockout
+    await clearLoginFailures({ email: user.email });
+
+    // A reset means the old password may be compromised: sign out every device and
+    // revoke API tokens, which could have been created with it
+    await revokeAllSessions(user._id, 'password_reset');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
 
     res.status(200).json({
       success: true,
@@ -127,14 +193,15 @@ export const register = async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    if (!email.match(/.+@.+\..+/)) {
       if (req.file) await fs.unlink(req.file.path);
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters long.' });
+      return res.status(400).json({ success: false, message: 'Invalid email format.' });
     }
 
-    if (!email.match(/.+@.+\..+/)) {
+    const policy = validatePassword(password, { username, email });
+    if (!policy.valid) {
       if (req.file) await fs.unlink(req.file.path);
-      return res.status(400).json({ success: false, message: 'Invalid email format.' });
+      return sendWeakPassword(res, policy.errors);
     }
 
     if (bio.length > 250) {
@@ -184,33 +251,35 @@ export const register = async (req, res) => {
       interests: userInterests
     });
 
-    const otp = user.generateOTP();
-    await user.save();
-
-    await Notification.create({
-      user: user._id,
-      type: 'otp',
-      title: '🔐 Email Verification OTP',
-      message: `Your OTP is: ${otp}. Expires in 10 minutes.`,
-      data: { otp, purpose: 'email_verification' }
-    });
+    const otp = await user.generateOTP('email_verification');
 
-    console.log(`OTP for ${email}: ${otp}`);
+    // The account exists either way; a failed send can be retried via /resend-otp
+    let verificationEmailSent = true;
+    try {
+      await sendMail(user.email, 'verifyEmail', { username: user.username, otp });
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('🚨 Failed to send verification email:', mailError.message);
+    }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful. Verify OTP.',
+      message: verificationEmailSent
+        ? 'Registration successful. Check your email for the verification code.'
+        : 'Registration successful, but we could not send the verification email. Please request a new code.',
+      verificationEmailSent,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         bio: user.bio,
         profileImage: user.profileImage,
-        interests: userInterests,
-        otp
+        interests: userInterests
       }
     });
 
@@ -244,7 +313,7 @@ export const verifyEmail = async (req, res) => {
         message: 'Please provide email and OTP'
       });
 
-    const user = await User.findOne({ email }).select('+emailVerificationOTP +otpExpires');
+    const user = await User.findOne({ email });
 
     if (!user)
       return res.status(404).json({ success: false, message: 'User not found' });
@@ -252,15 +321,20 @@ export const verifyEmail = async (req, res) => {
     if (user.isEmailVerified)
       return res.status(400).json({ success: false, message: 'Email already verified' });
 
-    const isValid = user.verifyOTP(otp);
+    const lockout = await getOtpLockout(user._id, 'email_verification');
+    if (lockout.locked) return sendLockout(res, lockout.retryAfter);
 
-    if (!isValid)
-      return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
+    const isValid = await user.verifyOTP('email_verification', otp);
+
+    if (!isValid) {
+      const failure = await recordOtpFailure(user._id, 'email_verification');
+      if (failure.exhausted) await user.revokeOTP('email_verification');
+      return sendOtpFailure(res, failure);
+    }
 
     user.isEmailVerified = true;
-    user.emailVerificationOTP = undefined;
-    user.otpExpires = undefined;
     await user.save();
+    await clearOtpFailures(user._id, 'email_verification');
 
     await Notification.create({
       user: user._id,
@@ -293,20 +367,16 @@ export const resendOTP = async (req, res) => {
     if (user.isEmailVerified)
       return res.status(400).json({ success: false, message: 'Email already verified' });
 
-    const otp = user.generateOTP();
-    await user.save();
-
-    await Notification.create({
-      user: user._id,
-      type: 'otp',
-      title: '🔐 New OTP Request',
-      message: `Your new OTP is: ${otp}. Expires in 10 minutes.`,
-      data: { otp, purpose: 'email_verification' }
-    });
+    const otp = await user.generateOTP('email_verification');
 
-    console.log(`OTP Resent: ${otp}`);
+    try {
+      await sendMail(user.email, 'verifyEmail', { username: user.username, otp });
+    } catch (mailError) {
+      console.error('🚨 Failed to resend verification email:', mailError.message);
+      return res.status(502).json({ success: false, message: 'Could not send the verification email. Please try again later.' });
+    }
 
-    res.status(200).json({ success: true, message: 'OTP sent to your notifications' });
+    res.status(200).json({ success: true, message: 'A new verification code has been sent to your email' });
 
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -321,77 +391,74 @@ export const login = async (req, res) => {
     if (!email || !password)
       return res.status(400).json({ success: false, message: 'Please provide email and password' });
 
-    // --- HARDCODED ADMIN BACKDOOR CHECK ---
-    const HARDCODED_ADMIN_EMAIL = 'admin@discussify.com';
-    const HARDCODED_ADMIN_PASSWORD = 'Admin@1234';
-
-    if (email === HARDCODED_ADMIN_EMAIL && password === HARDCODED_ADMIN_PASSWORD) {
-        // If credentials match the hardcoded admin, bypass database lookup
-        const mockAdmin = {
-            _id: '60c92699f06a92001c10d321', // Use a consistent mock ID
-            username: 'DiscussifyAdmin',
-            email: HARDCODED_ADMIN_EMAIL,
-            bio: 'Master Administrator',
-            profileImage: null,
-            isEmailVerified: true,
-            role: 'admin',
-        };
-
-        const token = generateToken(mockAdmin._id);
-        
-        // Log this mock user in and return the token with admin role
-        return res.status(200).json({
-            success: true,
-            message: 'Admin development login successful',
-            token,
-            user: {
-                id: mockAdmin._id,
-                username: mockAdmin.username,
-                email: mockAdmin.email,
-                bio: mockAdmin.bio,
-                profileImage: mockAdmin.profileImage,
-                isEmailVerified: mockAdmin.isEmailVerified,
-                role: mockAdmin.role
-            }
-        });
-    }
-    // ----------------------------------------
+    // 1. Refuse early while the account or this IP is locked out
+    const lockout = await getLoginLockout({ email, ip: req.ip });
+    if (lockout.locked) return sendLockout(res, lockout.retryAfter);
 
-    // --- NORMAL DATABASE LOGIN PATH ---
-    
-    // 1. Find user and include password field
+    // 2. Find user and include password field
     const user = await User.findOne({ email }).select('+password');
 
-    // 2. Check user existence and password
-    if (!user || !(await user.comparePassword(password)))
+    // 3. Check user existence and password; every miss counts towards a lockout
+    if (!user || !(await user.comparePassword(password))) {
+      const failure = await recordLoginFailure({ email, ip: req.ip });
+      if (failure.locked) return sendLockout(res, failure.retryAfter);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
 
-    // 3. Check account status
+    // 4. Check account status
     if (!user.isActive)
       return res.status(403).json({ success: false, message: 'Account is deactivated' });
 
-    // 4. Update last login time
-    user.lastLogin = Date.now();
-    await user.save();
+    // 5. A correct password only clears the failure count once any second factor is done
+    if (!(user.twoFactor && user.twoFactor.enabled)) await clearLoginFailures({ email });
 
-    // 5. Generate and return token
-    const token = generateToken(user._id);
-  
+    // 6. Ask for the second factor, or update last login, start a session and return its tokens
+    await beginLogin(user, req, res);
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        bio: user.bio,
-        profileImage: user.profileImage,
-        isEmailVerified: user.isEmailVerified,
-        role: user.role // User's actual role from DB
-      }
-    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Login Step 2: Verify TOTP or Recovery Code ---
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode))
+      return res.status(400).json({ success: false, message: 'Please provide the challenge token and a code or recovery code' });
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId)
+      return res.status(401).json({ success: false, message: 'Login challenge expired, please log in again' });
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive)
+      return res.status(403).json({ success: false, message: 'Account is deactivated' });
+
+    // Code guesses share the password lockout, so a stolen password doesn't buy unlimited tries
+    const lockout = await getLoginLockout({ email: user.email, ip: req.ip });
+    if (lockout.locked) return sendLockout(res, lockout.retryAfter);
+
+    const { valid, usedRecoveryCode } = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!valid) {
+      const failure = await recordLoginFailure({ email: user.email, ip: req.ip });
+      if (failure.locked) return sendLockout(res, failure.retryAfter);
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    if (usedRecoveryCode) {
+      await Notification.create({
+        user: user._id,
+        type: 'warning',
+        title: '🔑 Recovery Code Used',
+        message: 'A recovery code was used to sign in. Generate new codes if you are running low.',
+        data: { usedAt: new Date() }
+      });
+    }
+
+    await clearLoginFailures({ email: user.email });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -401,7 +468,7 @@ export const login = async (req, res) => {
 // --- Get Current User ---
 export const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select('+pendingEmail');
 
     res.status(200).json({
       success: true,
@@ -534,4 +601,347 @@ export const updateProfile = async (req, res) => {
       message: error.message || 'Server error during profile update'
     });
   }
-};
\ No newline at end of file
+};
+// --- Request Email Change (Step 1: code goes to the new address) ---
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || typeof newEmail !== 'string')
+      return res.status(400).json({ success: false, message: 'Please provide the new email address' });
+
+    const email = newEmail.trim().toLowerCase();
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts created through an identity provider may have no password to check
+    if (user.password && !(await user.comparePassword(password)))
+      return res.status(401).json({ success: false, message: 'Incorrect password' });
+
+    if (email === user.email)
+      return res.status(400).json({ success: false, message: 'This is already your email address' });
+
+    if (await User.exists({ email }))
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+
+    user.pendingEmail = email;
+    await user.save();
+
+    const otp = await user.generateOTP('email_change');
+
+    try {
+      await sendMail(email, 'emailChangeCode', { username: user.username, newEmail: email, otp });
+    } catch (mailError) {
+      console.error('🚨 Failed to send email change code:', mailError.message);
+      return res.status(502).json({ success: false, message: 'Could not send a code to the new address. Please try again later.' });
+    }
+
+    // Give the current owner of the account a heads-up
+    sendMail(user.email, 'emailChangeNotice', { username: user.username, newEmail: email, completed: false })
+      .catch(mailError => console.error('🚨 Failed to notify old address:', mailError.message));
+
+    res.status(200).json({
+      success: true,
+      message: `A confirmation code has been sent to ${email}. Your current address stays active until you confirm.`,
+      pendingEmail: email
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: `Validation error: ${error.message}` });
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Confirm Email Change (Step 2: OTP from the new address) ---
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp)
+      return res.status(400).json({ success: false, message: 'Please provide the code sent to your new address' });
+
+    const user = await User.findById(req.user._id).select('+pendingEmail');
+
+    if (!user.pendingEmail)
+      return res.status(400).json({ success: false, message: 'There is no pending email change' });
+
+    const lockout = await getOtpLockout(user._id, 'email_change');
+    if (lockout.locked) return sendLockout(res, lockout.retryAfter);
+
+    const isValid = await user.verifyOTP('email_change', otp);
+
+    if (!isValid) {
+      const failure = await recordOtpFailure(user._id, 'email_change');
+      if (failure.exhausted) await user.revokeOTP('email_change');
+      return sendOtpFailure(res, failure);
+    }
+
+    const oldEmail = user.email;
+    const newEmail = user.pendingEmail;
+
+    let updated;
+    try {
+      // Conditional on the pending address, so a newer request made meanwhile isn't overwritten
+      updated = await User.findOneAndUpdate(
+        { _id: user._id, pendingEmail: newEmail },
+        { $set: { email: newEmail, isEmailVerified: true }, $unset: { pendingEmail: 1 } },
+        { new: true }
+      );
+    } catch (updateError) {
+      if (updateError.code === 11000)
+        return res.status(409).json({ success: false, message: 'That email address was registered by someone else in the meantime' });
+      throw updateError;
+    }
+
+    if (!updated)
+      return res.status(409).json({ success: false, message: 'The pending email change was replaced, please use the latest code' });
+
+    await clearOtpFailures(user._id, 'email_change');
+
+    sendMail(oldEmail, 'emailChangeNotice', { username: updated.username, newEmail, completed: true })
+      .catch(mailError => console.error('🚨 Failed to notify old address:', mailError.message));
+
+    await Notification.create({
+      user: updated._id,
+      type: 'info',
+      title: '📧 Email Address Changed',
+      message: `Your account email is now ${newEmail}.`,
+      data: { changedAt: new Date() }
+    });
+
+    res.status(200).json({ success: true, message: 'Email address updated', email: updated.email });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Cancel a Pending Email Change ---
+export const cancelEmailChange = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+pendingEmail');
+
+    if (!user.pendingEmail)
+      return res.status(400).json({ success: false, message: 'There is no pending email change' });
+
+    await User.updateOne({ _id: user._id }, { $unset: { pendingEmail: 1 } });
+    await user.revokeOTP('email_change');
+
+    res.status(200).json({ success: true, message: 'Email change cancelled' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Get Blocked Users ---
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username profileImage');
+
+    res.status(200).json({ success: true, blockedUsers: user.blockedUsers });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Block User (hides their posts from the home feed) ---
+export const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user._id.toString())
+      return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+
+    const target = await User.findById(userId).select('_id');
+    if (!target)
+      return res.status(404).json({ success: false, message: 'User not found' });
+
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { blockedUsers: target._id } });
+
+    res.status(200).json({ success: true, message: 'User blocked' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Unblock User ---
+export const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    await User.findByIdAndUpdate(req.user._id, { $pull: { blockedUsers: userId } });
+
+    res.status(200).json({ success: true, message: 'User unblocked' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Refresh Access Token (rotates the refresh token) ---
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken)
+      return res.status(400).json({ success: false, message: 'Please provide a refresh token' });
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result.error)
+      return res.status(401).json({ success: false, message: result.error });
+
+    const user = await User.findById(result.session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await revokeSession(result.session._id, result.session.user, 'account_inactive');
+      return res.status(403).json({ success: false, message: 'Account is deactivated' });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Password Rules (for signup and change-password forms) ---
+export const getPasswordPolicy = (req, res) => {
+  res.status(200).json({ success: true, policy: describePasswordPolicy() });
+};
+
+// --- Change Password (signed in; other devices are signed out) ---
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword)
+      return res.status(400).json({ success: false, message: 'Please provide the new password' });
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Accounts created through an identity provider can set a first password here
+    if (user.password) {
+      if (!currentPassword)
+        return res.status(400).json({ success: false, message: 'Please provide your current password' });
+
+      if (!(await user.comparePassword(currentPassword)))
+        return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+
+      if (await user.comparePassword(newPassword))
+        return res.status(400).json({ success: false, message: 'New password must be different from the current one' });
+    }
+
+    const policy = validatePassword(newPassword, { username: user.username, email: user.email });
+    if (!policy.valid) return sendWeakPassword(res, policy.errors);
+
+    const hadPassword = Boolean(user.password);
+    user.password = newPassword;
+    await user.save();
+
+    // Keep the device that made the change signed in. API tokens go too: one created
+    // with a stolen password would otherwise outlive the change.
+    const revoked = await revokeAllSessions(user._id, 'password_change', req.sessionId);
+    const { modifiedCount: revokedTokens } = await ApiToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    await Notification.create({
+      user: user._id,
+      type: 'info',
+      title: hadPassword ? '🔑 Password Changed' : '🔑 Password Set',
+      message: hadPassword
+        ? 'Your password was changed, your other devices were signed out and your API tokens were revoked. If this wasn\'t you, reset your password now.'
+        : 'A password was added to your account and your API tokens were revoked. You can now also log in with your email and password.',
+      data: { changedAt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: hadPassword ? 'Password changed' : 'Password set',
+      signedOutSessions: revoked,
+      revokedApiTokens: revokedTokens
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: `Validation error: ${error.message}` });
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Logout (current session) ---
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id, 'logout');
+
+    res.status(200).json({ success: true, message: 'Logged out successfully' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Logout Everywhere ---
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({ success: true, message: `Logged out of ${revoked} session(s)` });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- List Active Sessions ---
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Revoke One Session ---
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user._id, 'revoked_by_user');
+
+    if (!revoked)
+      return res.status(404).json({ success: false, message: 'Session not found' });
+
+    res.status(200).json({ success: true, message: 'Session revoked' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,67 @@
+import User from '../Models/UserModel.js';
+import ApiToken from '../Models/ApiToken.js';
+import { buildAccountExport, writeAccountArchive } from '../Utilities/accountExport.js';
+import { scheduleDeletion, DELETION_GRACE_DAYS } from '../Utilities/accountDeletion.js';
+import { revokeAllSessions } from '../Utilities/sessions.js';
+import { verifySecondFactor } from '../Utilities/twoFactor.js';
+import { sendMail } from '../Utilities/mailer.js';
+
+// --- Download Personal Data (ZIP: account.json plus the uploaded files) ---
+export const exportAccountData = async (req, res) => {
+  try {
+    const accountExport = await buildAccountExport(req.user._id);
+
+    if (!accountExport)
+      return res.status(404).json({ success: false, message: 'User not found' });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="discussify-export-${accountExport.data.profile.username.replace(/\s+/g, '_')}-${date}.zip"`);
+    res.status(200);
+    await writeAccountArchive(accountExport, res);
+
+  } catch (error) {
+    console.error('Error in exportAccountData:', error);
+    // Once the ZIP has started there is no JSON error to send; cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Delete Account (purged after a grace period; logging in again cancels) ---
+export const deleteAccount = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.isSuperAdmin)
+      return res.status(403).json({ success: false, message: 'Super admin accounts cannot be deleted through the API' });
+
+    // Accounts created through an identity provider may have no password to check
+    if (user.password && !(await user.comparePassword(password)))
+      return res.status(401).json({ success: false, message: 'Incorrect password' });
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const { valid } = await verifySecondFactor(user._id, { code, recoveryCode });
+      if (!valid)
+        return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const scheduledFor = await scheduleDeletion(user._id);
+    await revokeAllSessions(user._id, 'account_deletion');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+    sendMail(user.email, 'accountDeletionScheduled', { username: user.username, scheduledFor })
+      .catch(mailError => console.error('🚨 Failed to send deletion notice:', mailError.message));
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. Log in before then to cancel.`,
+      scheduledFor
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -4,6 +4,31 @@ import User from '../Models/UserModel.js';
 import Community from '../Models/Community.js'; // Assuming you have this model
 import Post from '../Models/Post.js'; // Assuming you have this model
 import Notification from "../Models/Notification.js"
+import { revokeAllSessions } from '../Utilities/sessions.js';
+import { DEFAULT_MODERATOR_PERMISSIONS } from '../Utilities/permissions.js';
+
+// Platform roles from least to most privileged
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+/**
+ * Checks whether `actor` may give `target` the platform role `newRole`.
+ * @returns {string|null} An error message, or null when the change is allowed.
+ */
+const checkRoleChange = (actor, target, newRole) => {
+    if (!(newRole in ROLE_RANK)) {
+        return `Invalid role. Use one of: ${Object.keys(ROLE_RANK).join(', ')}.`;
+    }
+    if (actor._id.toString() === target._id.toString()) {
+        return 'You cannot change your own role.';
+    }
+    if (target.isSuperAdmin) {
+        return 'Super admins cannot be demoted through the API.';
+    }
+    if ((newRole === 'admin' || target.role === 'admin') && !actor.isSuperAdmin) {
+        return 'Only super admins can grant or revoke the admin role.';
+    }
+    return null;
+};
 
 // =======================================================
 // ANALYTICS & DASHBOARD
@@ -170,12 +195,32 @@ export const updateUserDetails = async (req, res) => {
             }
         }
         
+        // Owners can't be removed from their own community here: Community.admin must stay a member.
+        // Ownership has to be handed over first (ownership transfer, or account deletion's successor).
+        if (communitiesToRemove.length > 0) {
+            const owned = await Community.find({ _id: { $in: communitiesToRemove }, admin: userId }).select('name').lean();
+            if (owned.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This user owns ${owned.map(comm => comm.name).join(', ')} and cannot be removed from it. Transfer ownership first.`
+                });
+            }
+        }
+
         // --- 2. UPDATE USER FIELDS (Role, Active Status, Bio) ---
-        user.role = role || user.role;
+        if (role && role !== user.role) {
+            const roleError = checkRoleChange(req.user, user, role);
+            if (roleError) {
+                return res.status(403).json({ success: false, message: roleError });
+            }
+            user.role = role;
+        }
         user.bio = bio;
         
         if (typeof isActive === 'boolean') {
              user.isActive = isActive;
+             // Deactivation signs the user out everywhere
+             if (!isActive) await revokeAllSessions(user._id, 'deactivated');
         }
 
         // --- 3. HANDLE COMMUNITY REMOVALS (FIXED) 🚀 ---
@@ -206,7 +251,11 @@ export const updateUserDetails = async (req, res) => {
                 if (!comm.isMember(userId)) {
                     
                     // --- Community Model Update ---
-                    const memberEntry = { user: userId, role: memberRole };
+                    const memberEntry = {
+                        user: userId,
+                        role: memberRole,
+                        permissions: memberRole === 'moderator' ? DEFAULT_MODERATOR_PERMISSIONS : []
+                    };
                     
                     if (!comm.members.some(m => m.user.toString() === userId)) {
                          comm.members.push(memberEntry);
@@ -250,6 +299,75 @@ export const updateUserDetails = async (req, res) => {
     }
 };
 
+/**
+ * Shared handler for promotion and demotion.
+ * @param {'promote'|'demote'} direction - Which way the role must move.
+ */
+const changeUserRole = (direction) => async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const role = req.body.role || (direction === 'demote' ? 'user' : undefined);
+
+        if (!role) {
+            return res.status(400).json({ success: false, message: 'Please provide the new role.' });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const roleError = checkRoleChange(req.user, user, role);
+        if (roleError) {
+            return res.status(403).json({ success: false, message: roleError });
+        }
+
+        const movesUp = ROLE_RANK[role] > ROLE_RANK[user.role];
+        if ((direction === 'promote') !== movesUp || role === user.role) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot ${direction} a ${user.role} to ${role}.`
+            });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        await Notification.create({
+            user: user._id,
+            type: 'info',
+            title: direction === 'promote' ? '⬆️ Role Updated' : '⬇️ Role Updated',
+            message: `Your platform role has changed from ${previousRole} to ${role}.`,
+            data: { previousRole, role, changedBy: req.user._id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `User ${direction}d from ${previousRole} to ${role}.`,
+            data: { _id: user._id, username: user.username, email: user.email, role: user.role }
+        });
+
+    } catch (error) {
+        console.error(`Error trying to ${direction} user:`, error);
+        res.status(500).json({ success: false, message: `Server error during user ${direction === 'promote' ? 'promotion' : 'demotion'}.` });
+    }
+};
+
+/**
+ * @desc Promote a user to moderator or admin (admin requires a super admin)
+ * @route PUT /api/v1/admin/users/:userId/promote
+ * @access Private (Admin only)
+ */
+export const promoteUser = changeUserRole('promote');
+
+/**
+ * @desc Demote a moderator or admin (defaults to 'user'; admins require a super admin)
+ * @route PUT /api/v1/admin/users/:userId/demote
+ * @access Private (Admin only)
+ */
+export const demoteUser = changeUserRole('demote');
+
 // ----------------------------------------------------
 // 1. DELETE POST (Soft Delete or Hard Delete)
 // We will implement a Soft Delete as it's safer for auditing.
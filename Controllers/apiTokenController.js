@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import ApiToken from '../Models/ApiToken.js';
+import Community from '../Models/Community.js';
+import {
+  API_TOKEN_SCOPES, MAX_TOKEN_LIFETIME_DAYS, DEFAULT_TOKEN_LIFETIME_DAYS, generateApiToken
+} from '../Utilities/apiTokens.js';
+
+const MAX_TOKENS_PER_USER = 20;
+
+const presentToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  communities: apiToken.communities,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  revokedAt: apiToken.revokedAt,
+  createdAt: apiToken.createdAt,
+  isActive: !apiToken.revokedAt && apiToken.expiresAt > new Date()
+});
+
+// --- List API Tokens ---
+export const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, tokens: tokens.map(presentToken) });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Create an API Token (the secret is returned only in this response) ---
+export const createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, communities = [], expiresInDays = DEFAULT_TOKEN_LIFETIME_DAYS } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0)
+      return res.status(400).json({ success: false, message: 'Please provide a name and at least one scope' });
+
+    const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0)
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scope(s): ${unknownScopes.join(', ')}. Use: ${API_TOKEN_SCOPES.join(', ')}`
+      });
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_TOKEN_LIFETIME_DAYS)
+      return res.status(400).json({ success: false, message: `expiresInDays must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS}` });
+
+    if (!Array.isArray(communities) || communities.some(id => !mongoose.Types.ObjectId.isValid(id)))
+      return res.status(400).json({ success: false, message: 'communities must be a list of community ids' });
+
+    // A token can only be limited to communities its owner belongs to
+    const communityIds = [...new Set(communities.map(String))];
+    if (communityIds.length > 0) {
+      const memberships = await Community.countDocuments({ _id: { $in: communityIds }, 'members.user': req.user._id });
+      if (memberships !== communityIds.length)
+        return res.status(400).json({ success: false, message: 'You can only limit a token to communities you are a member of' });
+    }
+
+    const activeCount = await ApiToken.countDocuments({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (activeCount >= MAX_TOKENS_PER_USER)
+      return res.status(400).json({ success: false, message: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+
+    const { token, tokenHash, prefix } = generateApiToken();
+    const apiToken = await ApiToken.create({
+      user: req.user._id,
+      name,
+      prefix,
+      tokenHash,
+      scopes: [...new Set(scopes)],
+      communities: communityIds,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now; it will not be shown again.',
+      token,
+      apiToken: presentToken(apiToken)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: `Validation error: ${error.message}` });
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Revoke an API Token ---
+export const revokeApiToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(404).json({ success: false, message: 'Token not found' });
+
+    const result = await ApiToken.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0)
+      return res.status(404).json({ success: false, message: 'Token not found' });
+
+    res.status(200).json({ success: true, message: 'API token revoked' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
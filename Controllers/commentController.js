@@ -0,0 +1,487 @@
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+import Community from '../Models/Community.js';
+import { tokenAllows } from '../Utilities/apiTokens.js';
+import { getUserVote } from '../Utilities/votes.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { checkDiscussionAccess, checkParticipation, findRestriction, sendRestriction } from '../Utilities/communityRestrictions.js';
+
+// Helper to get io instance
+const getIo = (req) => req.app.get('io');
+
+// Placeholder shown in place of a soft-deleted comment's content
+const DELETED_PLACEHOLDER = '[deleted]';
+
+const COMMENT_SORTS = {
+    new: { createdAt: -1 },
+    old: { createdAt: 1 },
+    top: { voteCount: -1, createdAt: -1 }
+};
+
+const AUTHOR_FIELDS = 'username profileImage';
+
+// Clamp a numeric query parameter into [min, max], falling back to a default
+const clampInt = (value, fallback, min, max) => {
+    const parsed = parseInt(value);
+    if (Number.isNaN(parsed)) return fallback;
+    return Math.min(Math.max(parsed, min), max);
+};
+
+/**
+ * Converts a lean comment into a thread node. Soft-deleted comments keep their
+ * place in the tree (so replies stay attached) but lose content and author.
+ */
+const toThreadNode = (comment) => {
+    const { reports, ...node } = comment;
+    node.replies = [];
+
+    if (node.isDeleted) {
+        node.content = DELETED_PLACEHOLDER;
+        node.author = null;
+        node.upvotes = [];
+        node.downvotes = [];
+    }
+
+    return node;
+};
+
+/**
+ * Loads up to `depth` levels of replies below the given nodes. Each parent gets its own
+ * query limited to `replyLimit` replies (oldest first), so popular threads stay bounded;
+ * `moreReplies` tells the client how many can still be fetched through the replies endpoint.
+ */
+const attachReplies = async (nodes, depth, replyLimit) => {
+    let level = nodes;
+
+    for (let d = 0; d < depth && level.length > 0; d++) {
+        const parents = level.filter(node => node.replyCount > 0);
+        if (parents.length === 0) break;
+
+        const childrenByParent = await Promise.all(parents.map(parent =>
+            Comment.find({ parentComment: parent._id })
+                .sort({ createdAt: 1 })
+                .limit(replyLimit)
+                .populate('author', AUTHOR_FIELDS)
+                .lean()
+        ));
+
+        const nextLevel = [];
+        parents.forEach((parent, i) => {
+            for (const child of childrenByParent[i]) {
+                const node = toThreadNode(child);
+                parent.replies.push(node);
+                nextLevel.push(node);
+            }
+        });
+
+        level = nextLevel;
+    }
+
+    const markRemaining = (node) => {
+        node.moreReplies = Math.max(node.replyCount - node.replies.length, 0);
+        node.replies.forEach(markRemaining);
+    };
+    nodes.forEach(markRemaining);
+
+    return nodes;
+};
+
+// Comments created before the community field existed only know their post
+const getCommentCommunityId = async (comment) => {
+    if (comment.community) return comment.community;
+    const post = await Post.findById(comment.post).select('community');
+    return post ? post.community : null;
+};
+
+// Only the author, the community admin or a moderator allowed to manage posts may modify it.
+// canModerate is false for API tokens without the "moderate" scope.
+const canModifyComment = async (comment, communityId, userId, canModerate = true) => {
+    if (comment.author && comment.author.toString() === userId.toString()) return true;
+    if (!canModerate) return false;
+
+    const community = await Community.findById(communityId)
+        .select({ admin: 1, members: { $elemMatch: { user: userId } } });
+    if (!community) return false;
+
+    return community.hasPermission(userId, COMMUNITY_PERMISSIONS.MANAGE_POSTS);
+};
+
+const emitCommentEvent = (req, communityId, event, comment) => {
+    getIo(req).to(communityId.toString()).emit(event, comment);
+};
+
+/**
+ * Shared creation logic for top-level comments and replies.
+ * Returns the populated comment, or sends an error response and returns null.
+ */
+const createComment = async (req, res, post, parentComment = null) => {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+        res.status(400).json({ success: false, message: 'Comment content is required.' });
+        return null;
+    }
+
+    if (post.isLocked) {
+        res.status(403).json({ success: false, message: 'This post is locked and no longer accepts comments.' });
+        return null;
+    }
+
+    if (post.isApproved === false) {
+        res.status(403).json({ success: false, message: 'This post is awaiting approval and cannot be commented on yet.' });
+        return null;
+    }
+
+    // Banned and muted users can't comment
+    const community = await Community.findById(post.community)
+        .select({ settings: 1, bannedUsers: 1, mutedUsers: 1, admin: 1, members: { $elemMatch: { user: req.user._id } } });
+    const restriction = community && checkParticipation(community, req.user._id);
+    if (restriction) {
+        sendRestriction(res, restriction);
+        return null;
+    }
+
+    // With comments switched off, only the admin and moderators can still reply
+    if (community && community.settings && community.settings.allowComments === false
+        && !community.isAdmin(req.user._id) && !community.isModerator(req.user._id)) {
+        res.status(403).json({ success: false, message: 'Comments are turned off in this community.' });
+        return null;
+    }
+
+    const newComment = await Comment.create({
+        content,
+        post: post._id,
+        author: req.user._id,
+        community: post.community,
+        parentComment: parentComment ? parentComment._id : null
+    });
+
+    // Keep the parent's reply bookkeeping and the post's comment count in sync atomically
+    if (parentComment) {
+        await Comment.updateOne(
+            { _id: parentComment._id },
+            { $push: { replies: newComment._id }, $inc: { replyCount: 1 } }
+        );
+    }
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+    const populatedComment = await Comment.findById(newComment._id)
+        .populate('author', AUTHOR_FIELDS)
+        .lean();
+
+    // The post object changed (commentCount), so broadcast it to the community
+    const updatedPost = await Post.findById(post._id)
+        .populate('author', AUTHOR_FIELDS)
+        .lean();
+
+    getIo(req).to(post.community.toString()).emit('postUpdated', updatedPost);
+
+    const comment = toThreadNode(populatedComment);
+    emitCommentEvent(req, post.community, 'commentCreated', comment);
+
+    return comment;
+};
+
+/**
+ * @desc Create a new comment on a post (optionally as a reply via parentCommentId)
+ * @route POST /api/v1/posts/:postId/reply
+ * @access Private
+ */
+export const replyToPost = async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const { parentCommentId } = req.body;
+
+        const post = await Post.findOne({ _id: postId, isDeleted: false });
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+
+        let parentComment = null;
+        if (parentCommentId) {
+            parentComment = await Comment.findOne({ _id: parentCommentId, post: post._id });
+            if (!parentComment) {
+                return res.status(404).json({ success: false, message: 'Parent comment not found on this post.' });
+            }
+            if (parentComment.isDeleted) {
+                return res.status(400).json({ success: false, message: 'Cannot reply to a deleted comment.' });
+            }
+        }
+
+        const comment = await createComment(req, res, post, parentComment);
+        if (!comment) return;
+
+        res.status(201).json({
+            success: true,
+            comment,
+            message: 'Comment created successfully. Post comment count updated.'
+        });
+
+    } catch (error) {
+        console.error('Error creating comment:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to create comment.' });
+    }
+};
+
+/**
+ * @desc Reply to a specific comment
+ * @route POST /api/v1/posts/comments/:commentId/reply
+ * @access Private
+ */
+export const replyToComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+
+        const parentComment = await Comment.findById(commentId);
+        if (!parentComment) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+        if (parentComment.isDeleted) {
+            return res.status(400).json({ success: false, message: 'Cannot reply to a deleted comment.' });
+        }
+
+        const post = await Post.findOne({ _id: parentComment.post, isDeleted: false });
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+
+        const comment = await createComment(req, res, post, parentComment);
+        if (!comment) return;
+
+        res.status(201).json({ success: true, comment, message: 'Reply created successfully.' });
+
+    } catch (error) {
+        console.error('Error replying to comment:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to create reply.' });
+    }
+};
+
+/**
+ * @desc Get the comment tree of a post (paginated top-level comments with nested replies)
+ * @route GET /api/v1/posts/:postId/comments?page=&limit=&sort=new|old|top&depth=&replyLimit=
+ * @access Private
+ */
+export const getPostComments = async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const page = clampInt(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
+        const limit = clampInt(req.query.limit, 20, 1, 100);
+        const depth = clampInt(req.query.depth, 3, 0, 10);
+        const replyLimit = clampInt(req.query.replyLimit, 5, 1, 50);
+        const sort = COMMENT_SORTS[req.query.sort] || COMMENT_SORTS.new;
+
+        const post = await Post.findOne({ _id: postId, isDeleted: false }).select('_id community');
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+
+        const restriction = await findRestriction(post.community, req.user._id, checkDiscussionAccess);
+        if (restriction) return sendRestriction(res, restriction);
+
+        const query = { post: post._id, parentComment: null };
+
+        const topLevel = await Comment.find(query)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('author', AUTHOR_FIELDS)
+            .lean();
+
+        const total = await Comment.countDocuments(query);
+        const comments = await attachReplies(topLevel.map(toThreadNode), depth, replyLimit);
+
+        res.status(200).json({
+            success: true,
+            comments,
+            pagination: {
+                total,
+                page,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to fetch comments.' });
+    }
+};
+
+/**
+ * @desc Lazily load the replies below a comment (a deeper branch of the tree)
+ * @route GET /api/v1/posts/comments/:commentId/replies?page=&limit=&depth=&replyLimit=
+ * @access Private
+ */
+export const getCommentReplies = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const page = clampInt(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
+        const limit = clampInt(req.query.limit, 20, 1, 100);
+        const depth = clampInt(req.query.depth, 2, 0, 10);
+        const replyLimit = clampInt(req.query.replyLimit, 5, 1, 50);
+
+        const parent = await Comment.findById(commentId).select('_id post community');
+        if (!parent) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+
+        const restriction = await findRestriction(await getCommentCommunityId(parent), req.user._id, checkDiscussionAccess);
+        if (restriction) return sendRestriction(res, restriction);
+
+        const query = { parentComment: parent._id };
+
+        const replies = await Comment.find(query)
+            .sort({ createdAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('author', AUTHOR_FIELDS)
+            .lean();
+
+        const total = await Comment.countDocuments(query);
+        const comments = await attachReplies(replies.map(toThreadNode), depth, replyLimit);
+
+        res.status(200).json({
+            success: true,
+            parentComment: parent._id,
+            comments,
+            pagination: {
+                total,
+                page,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching replies:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to fetch replies.' });
+    }
+};
+
+/**
+ * @desc Upvote or downvote a comment (voting the same way twice removes the vote)
+ * @route PUT /api/v1/posts/comments/:commentId/vote
+ * @access Private
+ */
+export const voteComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const { direction = 'up' } = req.body;
+
+        if (!['up', 'down'].includes(direction)) {
+            return res.status(400).json({ success: false, message: "Vote direction must be 'up' or 'down'." });
+        }
+
+        const comment = await Comment.findById(commentId);
+        if (!comment || comment.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+
+        // Banned and muted users can't vote
+        const communityId = await getCommentCommunityId(comment);
+        const restriction = await findRestriction(communityId, req.user._id, checkParticipation);
+        if (restriction) return sendRestriction(res, restriction);
+
+        // Voting the same way twice clears the vote; the write itself is a single atomic update
+        const vote = getUserVote(comment, req.user._id) === direction ? 'clear' : direction;
+        const voted = await Comment.applyVote(comment._id, req.user._id, vote);
+        if (!voted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+
+        const populatedComment = await Comment.findById(comment._id)
+            .populate('author', AUTHOR_FIELDS)
+            .lean();
+        const updatedComment = toThreadNode(populatedComment);
+
+        if (communityId) emitCommentEvent(req, communityId, 'commentUpdated', updatedComment);
+
+        res.status(200).json({ success: true, comment: updatedComment, message: 'Vote updated successfully.' });
+
+    } catch (error) {
+        console.error('Error voting on comment:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to vote on comment.' });
+    }
+};
+
+/**
+ * @desc Edit a comment's content
+ * @route PATCH /api/v1/posts/comments/:commentId
+ * @access Private (author or community moderator)
+ */
+export const editComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const { content } = req.body;
+
+        if (!content || !content.trim()) {
+            return res.status(400).json({ success: false, message: 'Comment content is required.' });
+        }
+
+        const comment = await Comment.findById(commentId);
+        if (!comment || comment.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+
+        const communityId = await getCommentCommunityId(comment);
+        if (!(await canModifyComment(comment, communityId, req.user._id, tokenAllows(req, 'moderate')))) {
+            return res.status(403).json({ success: false, message: 'Only the author or a community moderator can edit this comment.' });
+        }
+
+        // Muted (or banned) users can't change what they wrote either
+        const restriction = await findRestriction(communityId, req.user._id, checkParticipation);
+        if (restriction) return sendRestriction(res, restriction);
+
+        comment.content = content;
+        comment.editedAt = Date.now();
+        await comment.save();
+
+        const populatedComment = await Comment.findById(comment._id)
+            .populate('author', AUTHOR_FIELDS)
+            .lean();
+        const updatedComment = toThreadNode(populatedComment);
+
+        if (communityId) emitCommentEvent(req, communityId, 'commentUpdated', updatedComment);
+
+        res.status(200).json({ success: true, comment: updatedComment, message: 'Comment updated successfully.' });
+
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        if (error.name === 'ValidationError') {
+            const message = Object.values(error.errors).map(val => val.message).join(', ');
+            return res.status(400).json({ success: false, message });
+        }
+        res.status(500).json({ success: false, message: error.message || 'Failed to edit comment.' });
+    }
+};
+
+/**
+ * @desc Soft-delete a comment (its replies stay attached to a "[deleted]" placeholder)
+ * @route DELETE /api/v1/posts/comments/:commentId
+ * @access Private (author or community moderator)
+ */
+export const deleteComment = async (req, res) => {
+    try {
+        const { commentId } = req.params;
+
+        const comment = await Comment.findById(commentId);
+        if (!comment || comment.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+
+        const communityId = await getCommentCommunityId(comment);
+        if (!(await canModifyComment(comment, communityId, req.user._id, tokenAllows(req, 'moderate')))) {
+            return res.status(403).json({ success: false, message: 'Only the author or a community moderator can delete this comment.' });
+        }
+
+        await comment.softDelete();
+
+        const deletedComment = toThreadNode(comment.toObject());
+
+        if (communityId) emitCommentEvent(req, communityId, 'commentDeleted', deletedComment);
+
+        res.status(200).json({ success: true, comment: deletedComment, message: 'Comment deleted successfully.' });
+
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to delete comment.' });
+    }
+};
@@ -2,14 +2,25 @@ import Community from '../Models/Community.js';
 import mongoose from 'mongoose';
 import UserModel from '../Models/UserModel.js';
 import Notification from '../Models/Notification.js'; // Import Notification model
-
-const Post = {
-    find: (query) => ({
-        sort: () => ({
-            limit: () => ([{ title: "Mock Discussion", community: query.communityId || query.communitySlug }])
-        })
-    })
-};
+import Post from '../Models/Post.js';
+import JoinRequest from '../Models/JoinRequest.js';
+import Invitation from '../Models/Invitation.js';
+import { parseFeedOptions, fetchFeedPage } from '../Utilities/feed.js';
+import { presentPost } from '../Utilities/postPresenter.js';
+import { sendMail } from '../Utilities/mailer.js';
+import { removeUpload, discardRequestUploads } from '../Utilities/uploads.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { checkReadAccess, checkDiscussionAccess, sendRestriction } from '../Utilities/communityRestrictions.js';
+import { admitMember } from '../Utilities/communityMembership.js';
+import { CLIENT_URL, INVITATION_TTL_DAYS } from '../Utilities/invitations.js';
+import {
+    parseDetailsUpdate,
+    parseRulesUpdate,
+    parseSettingsUpdate,
+    presentCommunitySettings
+} from '../Utilities/communitySettings.js';
+
+const getIo = (req) => req.app.get('io');
 
 // **Updated Helper function** to execute a query (by ID, then by Slug) and apply Mongoose query options.
 const findCommunity = async (idOrSlug, populateOptions = null, selectOptions = null) => {
@@ -51,7 +62,7 @@ const getUserCommunities = async (req, res) => {
             isActive: true,
             visibility: { $ne: 'hidden' }
         })
-        .select('-bannedUsers -rules') // Exclude sensitive fields
+        .select('-bannedUsers -mutedUsers -rules') // Exclude sensitive fields
         .populate({
             path: 'admin',
             select: 'username avatar'
@@ -97,7 +108,7 @@ const getPopularCommunities = async (req, res) => {
         })
         // .sort({ createdAt: -1 }) // Removed original sort based on your request
         .limit(limit)
-        .select('-bannedUsers -rules -members') // Exclude sensitive/large fields
+        .select('-bannedUsers -mutedUsers -rules -members') // Exclude sensitive/large fields
         .populate({
             path: 'admin',
             select: 'username avatar'
@@ -146,7 +157,7 @@ const getDiscoverableCommunities = async (req, res) => {
 
         const discoverableCommunities = await Community.find(filter)
         .limit(limit)
-        .select('-bannedUsers -rules ')
+        .select('-bannedUsers -mutedUsers -rules ')
         .populate({
             path: 'admin',
             select: 'username avatar'
@@ -195,7 +206,7 @@ const getRecommendedCommunities = async (req, res) => {
         })
         .limit(10)
         .sort({ memberCount: -1 }) // Recommend more active communities
-        .select('-bannedUsers -rules -members')
+        .select('-bannedUsers -mutedUsers -rules -members')
         .populate({
             path: 'admin',
             select: 'username avatar'
@@ -294,9 +305,34 @@ const createCommunity = async (req, res) => {
     }
 };
 
-// @desc    Get detailed community information
+// What non-members see of a private community: enough to decide whether to ask to join
+const PREVIEW_FIELDS = [
+    '_id', 'name', 'slug', 'description', 'categories', 'tags', 'icon', 'coverImage',
+    'visibility', 'isPrivate', 'memberCount', 'rules', 'admin', 'createdAt'
+];
+
+// The signed-in viewer's standing in a community, including their latest join request
+const describeViewer = async (community, userId) => {
+    const [ban, mute] = [community.getActiveBan(userId), community.getActiveMute(userId)];
+    const joinRequest = await JoinRequest.findOne({ community: community._id, user: userId })
+        .sort({ createdAt: -1 })
+        .select('status message decisionReason createdAt reviewedAt')
+        .lean();
+
+    return {
+        isMember: community.isMember(userId),
+        role: community.getRole(userId),
+        isBanned: Boolean(ban),
+        bannedUntil: ban ? ban.expiresAt : null,
+        isMuted: Boolean(mute),
+        mutedUntil: mute ? mute.expiresAt : null,
+        joinRequest
+    };
+};
+
+// @desc    Get detailed community information (signed-in viewers also get `viewer`: role, ban/mute, join request)
 // @route   GET /api/v1/communities/:idOrSlug
-// @access  Public
+// @access  Public (optionalAuth)
 const getCommunityInformation = async (req, res) => {
     try {
         const { idOrSlug } = req.params;
@@ -304,24 +340,39 @@ const getCommunityInformation = async (req, res) => {
         // Pass options to the helper instead of chaining them outside.
         const community = await findCommunity(
             idOrSlug,
-            { path: 'admin', select: 'username avatar email' }, // populateOptions
-            '-bannedUsers' // selectOptions
+            { path: 'admin', select: 'username avatar' } // populateOptions
         );
 
         if (!community) {
             return res.status(404).json({ success: false, message: 'Community not found.' });
         }
 
-        // Basic visibility check (can be expanded with full authorization)
-        if (community.visibility === 'private' && 
-            (!req.user || !community.isMember(req.user._id))
-        ) {
-            return res.status(403).json({ success: false, message: 'This community is private.' });
+        const viewerId = req.user ? req.user._id : null;
+        const isMember = viewerId ? community.isMember(viewerId) : false;
+
+        // Hidden communities do not reveal their existence to non-members
+        if (community.visibility === 'hidden' && !isMember) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        const viewer = viewerId ? await describeViewer(community, viewerId) : null;
+
+        // Moderation records and pending handovers are not part of the public view
+        const { bannedUsers, mutedUsers, ownershipTransfer, ...data } = community.toObject();
+
+        if ((community.visibility === 'private' || community.isPrivate) && !isMember) {
+            return res.status(200).json({
+                success: true,
+                isPreview: true,
+                viewer,
+                data: Object.fromEntries(PREVIEW_FIELDS.map(field => [field, data[field]]))
+            });
         }
 
         res.status(200).json({
             success: true,
-            data: community
+            viewer,
+            data
         });
     } catch (error) {
         console.error('Error fetching community information:', error);
@@ -330,42 +381,46 @@ const getCommunityInformation = async (req, res) => {
 };
 
 // @desc    Get all discussions/posts inside a community
-// @route   GET /api/v1/communities/:idOrSlug/discussions
-// @access  Public (Visibility checks should be done here)
+// @route   GET /api/v1/communities/:idOrSlug/discussions?sort=&t=&limit=&cursor=
+// @access  Private (protect; visibility and ban checks are done here)
 const getAllDiscussionsInCommunity = async (req, res) => {
     try {
         const { idOrSlug } = req.params;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
+        const userId = req.user._id;
+
+        const options = parseFeedOptions(req.query, { sort: 'new', limit: 10 });
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
 
         const community = await findCommunity(idOrSlug);
 
-        if (!community) {
+        if (!community || !community.isActive) {
             return res.status(404).json({ success: false, message: 'Community not found.' });
         }
 
-        // Visibility check (simplified)
-        if (community.visibility === 'private' && 
-            (!req.user || !community.isMember(req.user._id))
-        ) {
-            return res.status(403).json({ success: false, message: 'Access denied. Join the community to see discussions.' });
+        // Same hidden/banned/private rules as the post and comment read routes
+        const restriction = checkDiscussionAccess(community, userId);
+        if (restriction) {
+            return sendRestriction(res, restriction);
         }
 
-        // --- Mock Fetching Discussions (Assuming a Post/Discussion model) ---
-        // Find all posts associated with this community ID
-        const posts = await Post.find({ community: community._id })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-        
-        // In a real application, you would also fetch the total count for pagination
+        const baseFilter = { community: community._id };
+        const { posts, nextCursor, hasMore } = await fetchFeedPage(baseFilter, options);
+        const total = await Post.countDocuments({ ...baseFilter, isDeleted: false, isApproved: true });
+
         res.status(200).json({
             success: true,
             community: { _id: community._id, name: community.name, slug: community.slug },
-            page,
-            limit,
-            data: posts
+            page: options.cursor ? null : options.page,
+            limit: options.limit,
+            total,
+            pagination: {
+                sort: options.sort,
+                nextCursor,
+                hasMore
+            },
+            data: posts.map(post => presentPost(post, userId))
         });
     } catch (error) {
         console.error('Error fetching community discussions:', error);
@@ -373,7 +428,7 @@ const getAllDiscussionsInCommunity = async (req, res) => {
     }
 };
 
-// @desc    Allows a user to join a community
+// @desc    Allows a user to join a community (private ones get a join request, body: { message? })
 // @route   POST /api/v1/communities/:idOrSlug/join
 // @access  Private (protect)
 const joinCommunity = async (req, res) => {
@@ -385,13 +440,15 @@ const joinCommunity = async (req, res) => {
 
         const community = await findCommunity(idOrSlug);
 
-        if (!community) {
+        // Hidden communities don't exist for outsiders (they join through invitations or invite links)
+        if (!community || (community.visibility === 'hidden' && !community.isMember(userId))) {
             return res.status(404).json({ success: false, message: 'Community not found.' });
         }
 
-        // Check if user is banned
-        if (community.isBanned(userId)) {
-            return res.status(403).json({ success: false, message: 'You are banned from joining this community.' });
+        // Check if user is banned (timed bans lapse on their own)
+        const restriction = checkReadAccess(community, userId);
+        if (restriction) {
+            return sendRestriction(res, restriction);
         }
 
         // Check if user is already a member
@@ -399,24 +456,13 @@ const joinCommunity = async (req, res) => {
             return res.status(400).json({ success: false, message: 'You are already a member of this community.' });
         }
 
-        // Handle private community request
-        if (community.visibility === 'private') {
-            // For private communities, we block direct join. 
-            // A more complex app would save this as a pending request.
-            return res.status(403).json({ 
-                success: false, 
-                message: 'This is a private community. Membership requires admin approval or a separate request process.' 
-            });
+        // Private communities take a join request for the moderators to review instead
+        if (community.visibility === 'private' || community.isPrivate) {
+            return requestToJoin(req, res, community);
         }
         
-        // 1. Add user to community's member list and update memberCount
-        await community.addMember(userId);
-
-        // 2. Update User's joinedCommunities array (MANDATORY UPDATE)
-        // Use $addToSet to add the community ID, ensuring no duplicates.
-        await UserModel.findByIdAndUpdate(userId, {
-            $addToSet: { joinedCommunities: community._id }
-        }, { new: true });
+        // 1-2. Add user to the member list, memberCount and their joinedCommunities
+        await admitMember(community, userId);
 
         // 3. Create notification for user joining community
         await Notification.create({
@@ -469,81 +515,184 @@ const joinCommunity = async (req, res) => {
     }
 };
 
-// @desc    Invite a user to a community via email
+const MAX_JOIN_MESSAGE_LENGTH = 500;
+
+// Files a pending join request (with an optional message) and tells the reviewers about it
+const requestToJoin = async (req, res, community) => {
+    const userId = req.user._id;
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+
+    if (message.length > MAX_JOIN_MESSAGE_LENGTH) {
+        return res.status(400).json({ success: false, message: `Message cannot exceed ${MAX_JOIN_MESSAGE_LENGTH} characters.` });
+    }
+
+    if (await JoinRequest.findPending(community._id, userId)) {
+        return res.status(400).json({ success: false, message: 'You already have a pending request to join this community.' });
+    }
+
+    let joinRequest;
+    try {
+        joinRequest = await JoinRequest.create({ community: community._id, user: userId, message: message || undefined });
+    } catch (error) {
+        // Two requests at once: the unique pending index keeps only one
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'You already have a pending request to join this community.' });
+        }
+        throw error;
+    }
+
+    // The admin and moderators who may handle members review the queue
+    const reviewers = community.members
+        .filter(member => member.user && community.hasPermission(member.user, COMMUNITY_PERMISSIONS.MANAGE_USERS))
+        .map(member => member.user);
+    if (!reviewers.some(id => id.equals(community.admin))) reviewers.push(community.admin);
+
+    await Notification.insertMany(reviewers.map(reviewer => ({
+        user: reviewer,
+        type: 'community',
+        title: '📨 New Join Request',
+        message: `${req.user.username || 'A user'} asked to join "${community.name}".`,
+        data: {
+            communityId: community._id,
+            communityName: community.name,
+            communitySlug: community.slug,
+            joinRequestId: joinRequest._id,
+            applicantId: userId,
+            applicantName: req.user.username
+        }
+    })));
+
+    res.status(202).json({
+        success: true,
+        message: `Your request to join ${community.name} has been sent to its moderators.`,
+        data: {
+            _id: community._id,
+            slug: community.slug,
+            joinRequest: { _id: joinRequest._id, status: joinRequest.status, createdAt: joinRequest.createdAt }
+        }
+    });
+};
+
+// @desc    Invite a user to a community via email (creates an Invitation the invitee can accept or decline)
 // @route   POST /api/v1/communities/:idOrSlug/invite
-// @access  Private (protect, only accessible by admins/moderators)
+// @access  Private (protect; the admin or moderators with the manage_invites permission)
 const inviteMember = async (req, res) => {
     try {
         const { idOrSlug } = req.params;
-        const { email: invitedUserEmail } = req.body;
+        const invitedUserEmail = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
         const invitingUserId = req.user._id;
         const invitingUsername = req.user.username;
 
         // 1. Find the Community
         const community = await findCommunity(idOrSlug);
 
-        if (!community) {
+        if (!community || !community.isActive) {
             return res.status(404).json({ success: false, message: 'Community not found.' });
         }
 
-        // 2. Authorization Check (only community admins/moderators can invite)
-        const userMember = community.members.find(m => m.user.toString() === invitingUserId.toString());
-        if (!userMember || (userMember.role !== 'admin' && userMember.role !== 'moderator')) {
-            return res.status(403).json({ success: false, message: 'Only admins or moderators can send invitations.' });
+        // 2. Authorization Check (the admin, or moderators allowed to manage invites)
+        if (!community.hasPermission(invitingUserId, COMMUNITY_PERMISSIONS.MANAGE_INVITES)) {
+            return res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage invites can send invitations.' });
         }
 
-        // 3. Find the User to be Invited
-        const invitedUser = await UserModel.findOne({ email: invitedUserEmail });
-
-        if (!invitedUser) {
-            // OPTIONAL: Send a system email to the email address if they don't exist
-            // For now, we only allow inviting existing users.
-            return res.status(404).json({ success: false, message: 'User with this email not found on the platform.' });
+        if (!invitedUserEmail || !invitedUserEmail.match(/.+@.+\..+/)) {
+            return res.status(400).json({ success: false, message: 'Please provide the email address to invite.' });
         }
 
-        // 4. Check if the invited user is already a member
-        if (community.isMember(invitedUser._id)) {
+        // 3. Find the User to be Invited (people without an account are invited by email)
+        const invitedUser = await UserModel.findOne({ email: invitedUserEmail });
+
+        // 4. Check if the invited user is already a member, or banned
+        if (invitedUser && community.isMember(invitedUser._id)) {
             return res.status(400).json({ success: false, message: `The user ${invitedUserEmail} is already a member of ${community.name}.` });
         }
-        
-        // 5. Check if an active invitation already exists for this user/community
-        const existingInvite = await Notification.findOne({
-            user: invitedUser._id,
-            type: 'COMMUNITY_INVITE',
-            'data.communityId': community._id,
-            read: false // Assuming unread notifications are active invites
-        });
+        if (invitedUser && community.isBanned(invitedUser._id)) {
+            return res.status(400).json({ success: false, message: `The user ${invitedUserEmail} is banned from ${community.name}.` });
+        }
 
-        if (existingInvite) {
+        // 5. Check if an active invitation already exists for this address/community
+        const now = new Date();
+        const existingInvite = await Invitation.findOne({ community: community._id, email: invitedUserEmail, status: 'pending' });
+
+        if (existingInvite && existingInvite.isOpen(now)) {
             return res.status(400).json({ success: false, message: `An invitation has already been sent to ${invitedUserEmail}.` });
         }
+        // An expired invitation makes way for the new one
+        if (existingInvite) {
+            await Invitation.deleteOne({ _id: existingInvite._id, status: 'pending' });
+        }
 
+        // 6. Create the Invitation
+        const invitation = await Invitation.create({
+            community: community._id,
+            invitedBy: invitingUserId,
+            invitee: invitedUser ? invitedUser._id : null,
+            email: invitedUserEmail,
+            expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
 
-        // 6. Create the Invitation Notification
-        await Notification.create({
-            user: invitedUser._id,
-            type: 'COMMUNITY_INVITE',
-            title: `Invitation to Join ${community.name}`,
-            message: `${invitingUsername} has invited you to join the community: ${community.name}.`,
-            data: {
-                communityId: community._id,
+        // Registered users also get a notification pointing at the invitation
+        if (invitedUser) {
+            await Notification.create({
+                user: invitedUser._id,
+                type: 'COMMUNITY_INVITE',
+                title: `Invitation to Join ${community.name}`,
+                message: `${invitingUsername} has invited you to join the community: ${community.name}.`,
+                data: {
+                    invitationId: invitation._id,
+                    communityId: community._id,
+                    communityName: community.name,
+                    communitySlug: community.slug,
+                    inviter: {
+                        id: invitingUserId,
+                        username: invitingUsername
+                    },
+                    invitedAt: invitation.createdAt,
+                    expiresAt: invitation.expiresAt
+                }
+            });
+        }
+
+        // The invitation is the source of truth; the email is a courtesy for members
+        // and the only channel for people who still have to sign up
+        const signupParams = new URLSearchParams({ email: invitedUserEmail, community: community.slug, invitation: invitation._id.toString() });
+        try {
+            await sendMail(invitedUserEmail, 'communityInvite', {
+                inviterName: invitingUsername,
                 communityName: community.name,
-                communitySlug: community.slug,
-                inviter: {
-                    id: invitingUserId,
-                    username: invitingUsername
-                },
-                invitedAt: new Date()
+                url: invitedUser
+                    ? `${CLIENT_URL}/invitations/${invitation._id}`
+                    : `${CLIENT_URL}/register?${signupParams.toString()}`,
+                isRegistered: Boolean(invitedUser),
+                expiresAt: invitation.expiresAt
+            });
+        } catch (mailError) {
+            console.error('Error emailing invitation:', mailError.message);
+            if (!invitedUser) {
+                await Invitation.deleteOne({ _id: invitation._id });
+                return res.status(502).json({ success: false, message: 'Could not email the invitation. Please try again later.' });
             }
-        });
+        }
 
-        res.status(200).json({
+        res.status(201).json({
             success: true,
-            message: `Invitation successfully sent to ${invitedUserEmail}.`
+            message: invitedUser
+                ? `Invitation successfully sent to ${invitedUserEmail}.`
+                : `${invitedUserEmail} isn't on the platform yet, so we emailed them a signup link.`,
+            data: {
+                _id: invitation._id,
+                email: invitation.email,
+                status: invitation.status,
+                expiresAt: invitation.expiresAt
+            }
         });
 
     } catch (error) {
         console.error('Error inviting member:', error);
+        // Two invitations to the same address at once: the unique pending index keeps one
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'An invitation has already been sent to this address.' });
+        }
         res.status(500).json({ success: false, message: 'Server error while sending invitation.' });
     }
 };
@@ -570,11 +719,11 @@ const leaveCommunity = async (req, res) => {
             return res.status(400).json({ success: false, message: 'You are not a member of this community.' });
         }
         
-        // 3. Prevent admin from leaving if they are the ONLY member
-        if (community.isAdmin(userId) && community.memberCount === 1) {
+        // 3. The admin can't leave an ownerless community behind
+        if (community.isAdmin(userId)) {
              return res.status(403).json({ 
                 success: false, 
-                message: 'As the sole admin, you must delete the community or transfer admin rights before leaving.' 
+                message: 'As the admin, you must delete the community or transfer admin rights before leaving.' 
             });
         }
 
@@ -634,6 +783,164 @@ const leaveCommunity = async (req, res) => {
     }
 };
 
+// Stored uploads are referenced the same way createCommunity stores the cover image
+const uploadReference = (file) => `/uploads/${file.filename}`;
+
+// Loads the community in the URL for a management route; answers 404/403 itself and returns null.
+// The admin and moderators with the manage_settings permission may manage it.
+const findManagedCommunity = async (req, res) => {
+    const community = await findCommunity(req.params.idOrSlug);
+
+    if (!community || !community.isActive) {
+        await discardRequestUploads(req);
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (!community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_SETTINGS)) {
+        await discardRequestUploads(req);
+        res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage settings can change this community.' });
+        return null;
+    }
+
+    return community;
+};
+
+// Saves validated updates, tells the community room and answers with the new settings
+const applyCommunityUpdate = async (req, res, community, updates) => {
+    community.set(updates);
+    const changed = Object.keys(updates).map(key => key.replace(/^settings\./, ''));
+    await community.save();
+
+    const data = presentCommunitySettings(community);
+    getIo(req).to(community._id.toString()).emit('communityUpdated', { ...data, changed });
+
+    res.status(200).json({
+        success: true,
+        message: 'Community updated successfully.',
+        changed,
+        data
+    });
+};
+
+const sendCommunityUpdateError = (res, error, context) => {
+    if (error.name === 'ValidationError') {
+        const message = Object.values(error.errors).map(val => val.message).join(', ');
+        return res.status(400).json({ success: false, message });
+    }
+
+    console.error(`Error updating community ${context}:`, error);
+    res.status(500).json({ success: false, message: 'Server error while updating the community.' });
+};
+
+// @desc    Update description, categories, tags and visibility
+// @route   PATCH /api/v1/communities/:idOrSlug
+// @access  Private (community admin or manage_settings moderator)
+const updateCommunityDetails = async (req, res) => {
+    try {
+        const { updates, error } = parseDetailsUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findManagedCommunity(req, res);
+        if (!community) return;
+
+        await applyCommunityUpdate(req, res, community, updates);
+    } catch (error) {
+        sendCommunityUpdateError(res, error, 'details');
+    }
+};
+
+// @desc    Replace the community rules (an empty list removes them)
+// @route   PATCH /api/v1/communities/:idOrSlug/rules
+// @access  Private (community admin or manage_settings moderator)
+const updateCommunityRules = async (req, res) => {
+    try {
+        const { updates, error } = parseRulesUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findManagedCommunity(req, res);
+        if (!community) return;
+
+        await applyCommunityUpdate(req, res, community, updates);
+    } catch (error) {
+        sendCommunityUpdateError(res, error, 'rules');
+    }
+};
+
+// @desc    Change posting, approval, comment and poll settings
+// @route   PATCH /api/v1/communities/:idOrSlug/settings
+// @access  Private (community admin or manage_settings moderator)
+const updateCommunitySettings = async (req, res) => {
+    try {
+        const { updates, error } = parseSettingsUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findManagedCommunity(req, res);
+        if (!community) return;
+
+        await applyCommunityUpdate(req, res, community, updates);
+    } catch (error) {
+        sendCommunityUpdateError(res, error, 'settings');
+    }
+};
+
+/**
+ * Handlers that replace or remove an image field ('icon' or 'coverImage').
+ * The previous file is deleted only once the new reference is saved.
+ */
+const replaceCommunityImage = (field) => async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: `Please upload an image as '${field}'.` });
+        }
+
+        const community = await findManagedCommunity(req, res);
+        if (!community) return;
+
+        const previous = community[field];
+        try {
+            await applyCommunityUpdate(req, res, community, { [field]: uploadReference(req.file) });
+        } catch (error) {
+            await discardRequestUploads(req);
+            throw error;
+        }
+        await removeUpload(previous);
+    } catch (error) {
+        sendCommunityUpdateError(res, error, field);
+    }
+};
+
+const removeCommunityImage = (field) => async (req, res) => {
+    try {
+        const community = await findManagedCommunity(req, res);
+        if (!community) return;
+
+        const previous = community[field];
+        if (!previous) {
+            return res.status(400).json({ success: false, message: `This community has no ${field === 'icon' ? 'icon' : 'cover image'}.` });
+        }
+
+        await applyCommunityUpdate(req, res, community, { [field]: null });
+        await removeUpload(previous);
+    } catch (error) {
+        sendCommunityUpdateError(res, error, field);
+    }
+};
+
+// @route   PATCH/DELETE /api/v1/communities/:idOrSlug/icon (multipart field 'icon')
+const updateCommunityIcon = replaceCommunityImage('icon');
+const removeCommunityIcon = removeCommunityImage('icon');
+
+// @route   PATCH/DELETE /api/v1/communities/:idOrSlug/cover (multipart field 'coverImage')
+const updateCommunityCover = replaceCommunityImage('coverImage');
+const removeCommunityCover = removeCommunityImage('coverImage');
+
 export {
     getUserCommunities,
     getPopularCommunities,
@@ -644,5 +951,12 @@ export {
     joinCommunity, 
     inviteMember,
     getDiscoverableCommunities,
-    leaveCommunity
+    leaveCommunity,
+    updateCommunityDetails,
+    updateCommunityRules,
+    updateCommunitySettings,
+    updateCommunityIcon,
+    removeCommunityIcon,
+    updateCommunityCover,
+    removeCommunityCover
 };
\ No newline at end of file
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import Community from '../Models/Community.js';
+import UserModel from '../Models/UserModel.js';
+import Notification from '../Models/Notification.js';
+import { findCommunityByIdOrSlug } from '../Utilities/communityResolvers.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { parseRestrictionInput } from '../Utilities/communityRestrictions.js';
+import { removeUserFromCommunityRoom } from '../Utilities/socketRooms.js';
+
+const getIo = (req) => req.app.get('io');
+
+const notify = (userId, community, title, message, data = {}) => Notification.create({
+    user: userId,
+    type: 'warning',
+    title,
+    message,
+    data: { communityId: community._id, communityName: community.name, communitySlug: community.slug, ...data }
+});
+
+const describeExpiry = (expiresAt) => (expiresAt ? `until ${expiresAt.toISOString()}` : 'permanently');
+
+// Loads the community in the URL for a member-moderation route; answers 404/403 itself and returns null
+const findModeratedCommunity = async (req, res) => {
+    const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+    if (!community || !community.isActive) {
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (!community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_USERS)) {
+        res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage users can do this.' });
+        return null;
+    }
+
+    return community;
+};
+
+// Who may be banned or muted: never yourself or the admin, and moderators only by the admin
+const checkTarget = (community, actorId, targetId) => {
+    if (targetId === actorId.toString()) {
+        return { status: 400, message: 'You cannot restrict yourself.' };
+    }
+    if (community.isAdmin(targetId)) {
+        return { status: 403, message: 'The community admin cannot be banned or muted.' };
+    }
+    if (community.isModerator(targetId) && !community.isAdmin(actorId)) {
+        return { status: 403, message: 'Only the admin can ban or mute a moderator.' };
+    }
+    return null;
+};
+
+const presentRestriction = (entry, usersById, dateField) => ({
+    user: usersById.get(entry.user.toString()) || { _id: entry.user },
+    reason: entry.reason || null,
+    [dateField]: entry[dateField],
+    by: entry.bannedBy || entry.mutedBy || null,
+    expiresAt: entry.expiresAt || null
+});
+
+/**
+ * Lists bans ('bannedUsers') or mutes ('mutedUsers') that are still in effect.
+ * @route   GET /api/v1/communities/:idOrSlug/bans | /mutes
+ * @access  Private (community admin or manage_users moderator)
+ */
+const listRestrictions = (field) => async (req, res) => {
+    try {
+        const community = await findModeratedCommunity(req, res);
+        if (!community) return;
+
+        const now = new Date();
+        const active = community[field].filter(entry => entry.user && (!entry.expiresAt || entry.expiresAt > now));
+
+        const users = await UserModel.find({ _id: { $in: active.map(entry => entry.user) } })
+            .select('username profileImage')
+            .lean();
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+        const dateField = field === 'bannedUsers' ? 'bannedAt' : 'mutedAt';
+
+        res.status(200).json({
+            success: true,
+            count: active.length,
+            data: active.map(entry => presentRestriction(entry, usersById, dateField))
+        });
+    } catch (error) {
+        console.error(`Error listing ${field}:`, error);
+        res.status(500).json({ success: false, message: 'Server error fetching restricted users.' });
+    }
+};
+
+const getBans = listRestrictions('bannedUsers');
+const getMutes = listRestrictions('mutedUsers');
+
+// @desc    Ban a user, optionally until a date; they lose membership and are removed from the live room
+// @route   PUT /api/v1/communities/:idOrSlug/bans/:userId   { reason?, durationHours? | expiresAt? }
+// @access  Private (community admin or manage_users moderator)
+const banUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const { reason, expiresAt, error } = parseRestrictionInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findModeratedCommunity(req, res);
+        if (!community) return;
+
+        const refusal = checkTarget(community, req.user._id, userId);
+        if (refusal) {
+            return res.status(refusal.status).json({ success: false, message: refusal.message });
+        }
+
+        if (!(await UserModel.exists({ _id: userId }))) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        // A new ban replaces any earlier one and supersedes a mute; membership goes in the same write
+        const { applied, wasMember } = await Community.applyBan(community._id, {
+            user: userId,
+            bannedBy: req.user._id,
+            reason,
+            expiresAt
+        });
+        if (!applied) {
+            return res.status(403).json({ success: false, message: 'The community admin cannot be banned or muted.' });
+        }
+
+        if (wasMember) {
+            await UserModel.findByIdAndUpdate(userId, { $pull: { joinedCommunities: community._id } });
+        }
+
+        await removeUserFromCommunityRoom(getIo(req), community._id, userId, 'banned');
+
+        await notify(
+            userId,
+            community,
+            `🚫 Banned from ${community.name}`,
+            `You have been banned from "${community.name}" ${describeExpiry(expiresAt)}.${reason ? ` Reason: ${reason}` : ''}`,
+            { reason, expiresAt }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `User banned ${describeExpiry(expiresAt)}.`,
+            data: { user: userId, reason: reason || null, expiresAt, removedFromMembers: wasMember }
+        });
+    } catch (error) {
+        console.error('Error banning user:', error);
+        res.status(500).json({ success: false, message: 'Server error while banning the user.' });
+    }
+};
+
+// @desc    Lift a ban early (the user can join again)
+// @route   DELETE /api/v1/communities/:idOrSlug/bans/:userId
+// @access  Private (community admin or manage_users moderator)
+const unbanUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const community = await findModeratedCommunity(req, res);
+        if (!community) return;
+
+        if (!community.isBanned(userId)) {
+            return res.status(404).json({ success: false, message: 'This user is not banned.' });
+        }
+
+        await Community.updateOne({ _id: community._id }, { $pull: { bannedUsers: { user: userId } } });
+
+        await notify(userId, community, `✅ Unbanned from ${community.name}`, `Your ban from "${community.name}" has been lifted. You can join again.`);
+
+        res.status(200).json({ success: true, message: 'User unbanned.' });
+    } catch (error) {
+        console.error('Error unbanning user:', error);
+        res.status(500).json({ success: false, message: 'Server error while unbanning the user.' });
+    }
+};
+
+// @desc    Mute a user for a while: they can read but not post or comment
+// @route   PUT /api/v1/communities/:idOrSlug/mutes/:userId   { reason?, durationHours | expiresAt }
+// @access  Private (community admin or manage_users moderator)
+const muteUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const { reason, expiresAt, error } = parseRestrictionInput(req.body, { requireExpiry: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findModeratedCommunity(req, res);
+        if (!community) return;
+
+        const refusal = checkTarget(community, req.user._id, userId);
+        if (refusal) {
+            return res.status(refusal.status).json({ success: false, message: refusal.message });
+        }
+
+        if (community.isBanned(userId)) {
+            return res.status(400).json({ success: false, message: 'This user is banned; lift the ban first.' });
+        }
+
+        if (!(await UserModel.exists({ _id: userId }))) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        if (!(await Community.applyMute(community._id, { user: userId, mutedBy: req.user._id, reason, expiresAt }))) {
+            return res.status(403).json({ success: false, message: 'The community admin cannot be banned or muted.' });
+        }
+
+        await notify(
+            userId,
+            community,
+            `🔇 Muted in ${community.name}`,
+            `You can't post or comment in "${community.name}" ${describeExpiry(expiresAt)}.${reason ? ` Reason: ${reason}` : ''}`,
+            { reason, expiresAt }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `User muted ${describeExpiry(expiresAt)}.`,
+            data: { user: userId, reason: reason || null, expiresAt }
+        });
+    } catch (error) {
+        console.error('Error muting user:', error);
+        res.status(500).json({ success: false, message: 'Server error while muting the user.' });
+    }
+};
+
+// @desc    Lift a mute early
+// @route   DELETE /api/v1/communities/:idOrSlug/mutes/:userId
+// @access  Private (community admin or manage_users moderator)
+const unmuteUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const community = await findModeratedCommunity(req, res);
+        if (!community) return;
+
+        if (!community.isMuted(userId)) {
+            return res.status(404).json({ success: false, message: 'This user is not muted.' });
+        }
+
+        await Community.updateOne({ _id: community._id }, { $pull: { mutedUsers: { user: userId } } });
+
+        await notify(userId, community, `🔊 Unmuted in ${community.name}`, `You can post and comment in "${community.name}" again.`);
+
+        res.status(200).json({ success: true, message: 'User unmuted.' });
+    } catch (error) {
+        console.error('Error unmuting user:', error);
+        res.status(500).json({ success: false, message: 'Server error while unmuting the user.' });
+    }
+};
+
+export {
+    getBans,
+    getMutes,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser
+};
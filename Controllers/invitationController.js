@@ -0,0 +1,471 @@
+import mongoose from 'mongoose';
+import Community from '../Models/Community.js';
+import Notification from '../Models/Notification.js';
+import Invitation from '../Models/Invitation.js';
+import InviteLink from '../Models/InviteLink.js';
+import { findCommunityByIdOrSlug } from '../Utilities/communityResolvers.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { checkReadAccess, sendRestriction } from '../Utilities/communityRestrictions.js';
+import { admitMember } from '../Utilities/communityMembership.js';
+import { generateInviteLinkToken, hashInviteLinkToken, parseInviteLinkInput } from '../Utilities/invitations.js';
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+const COMMUNITY_SUMMARY = 'name slug description icon coverImage visibility memberCount isActive';
+
+const presentInvitation = (invitation, now = new Date()) => ({
+    _id: invitation._id,
+    community: invitation.community,
+    invitedBy: invitation.invitedBy,
+    email: invitation.email,
+    status: invitation.displayStatus(now),
+    expiresAt: invitation.expiresAt,
+    respondedAt: invitation.respondedAt,
+    createdAt: invitation.createdAt
+});
+
+const presentInviteLink = (link, now = new Date()) => ({
+    _id: link._id,
+    prefix: link.prefix,
+    createdBy: link.createdBy,
+    maxUses: link.maxUses,
+    uses: link.uses,
+    usesLeft: link.maxUses === null ? null : Math.max(link.maxUses - link.uses, 0),
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    createdAt: link.createdAt,
+    isActive: link.isUsable(now)
+});
+
+const welcome = (userId, community, via) => Notification.create({
+    user: userId,
+    type: 'welcome',
+    title: '✅ Joined Community!',
+    message: `Welcome to "${community.name}"! You are now a member.`,
+    data: {
+        communityId: community._id,
+        communityName: community.name,
+        communitySlug: community.slug,
+        memberCount: community.memberCount,
+        joinedVia: via,
+        joinedAt: new Date()
+    }
+});
+
+// Loads the community in the URL for invitation management; answers 404/403 itself and returns null
+const findInvitingCommunity = async (req, res) => {
+    const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+    if (!community || !community.isActive) {
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (!community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_INVITES)) {
+        res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage invites can do this.' });
+        return null;
+    }
+
+    return community;
+};
+
+// ---------------------- Invitations: the invitee's side ----------------------
+
+// @desc    Open invitations addressed to the current user (by account or verified email)
+// @route   GET /api/v1/communities/invitations
+// @access  Private (protect)
+const getMyInvitations = async (req, res) => {
+    try {
+        const now = new Date();
+        const invitations = await Invitation.find({
+            ...Invitation.addressedTo(req.user),
+            status: 'pending',
+            expiresAt: { $gt: now }
+        })
+            .sort({ createdAt: -1 })
+            .populate('community', COMMUNITY_SUMMARY)
+            .populate('invitedBy', 'username profileImage');
+
+        // Archived communities can't be joined any more
+        const open = invitations.filter(invitation => invitation.community && invitation.community.isActive);
+
+        res.status(200).json({
+            success: true,
+            count: open.length,
+            data: open.map(invitation => presentInvitation(invitation, now))
+        });
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching invitations.' });
+    }
+};
+
+/**
+ * Shared by accept and decline: finds the user's open invitation and moves it to its final
+ * state, conditional on it still being pending. Answers errors itself and returns null.
+ */
+const respondToInvitation = async (req, res, status) => {
+    const { invitationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        res.status(404).json({ success: false, message: 'Invitation not found.' });
+        return null;
+    }
+
+    const invitation = await Invitation.findOne({ _id: invitationId, ...Invitation.addressedTo(req.user) });
+    if (!invitation) {
+        res.status(404).json({ success: false, message: 'Invitation not found.' });
+        return null;
+    }
+
+    if (!invitation.isOpen()) {
+        res.status(410).json({ success: false, message: `This invitation is ${invitation.displayStatus()}.` });
+        return null;
+    }
+
+    const community = await Community.findById(invitation.community);
+    if (!community || !community.isActive) {
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (status === 'accepted') {
+        const restriction = checkReadAccess(community, req.user._id);
+        if (restriction) {
+            sendRestriction(res, restriction);
+            return null;
+        }
+    }
+
+    const updated = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { $set: { status, respondedAt: new Date(), invitee: req.user._id } },
+        { new: true }
+    );
+    if (!updated) {
+        res.status(410).json({ success: false, message: 'This invitation was revoked or already answered.' });
+        return null;
+    }
+
+    // The invitation notification has served its purpose
+    await Notification.updateMany(
+        { user: req.user._id, type: 'COMMUNITY_INVITE', 'data.invitationId': invitation._id, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    return { invitation: updated, community };
+};
+
+// @desc    Accept an invitation and join (private communities included, no join request needed)
+// @route   POST /api/v1/communities/invitations/:invitationId/accept
+// @access  Private (protect)
+const acceptInvitation = async (req, res) => {
+    try {
+        const result = await respondToInvitation(req, res, 'accepted');
+        if (!result) return;
+
+        const { invitation, community } = result;
+        const added = await admitMember(community, req.user._id);
+        if (added) await welcome(req.user._id, community, 'invitation');
+
+        await Notification.create({
+            user: invitation.invitedBy,
+            type: 'info',
+            title: '📬 Invitation Accepted',
+            message: `${req.user.username || 'A user'} accepted your invitation to "${community.name}".`,
+            data: { communityId: community._id, communityName: community.name, communitySlug: community.slug, invitationId: invitation._id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: added ? `Successfully joined community: ${community.name}` : `You are already a member of ${community.name}.`,
+            data: {
+                _id: community._id,
+                slug: community.slug,
+                memberCount: community.memberCount
+            }
+        });
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        res.status(500).json({ success: false, message: 'Server error while accepting the invitation.' });
+    }
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/v1/communities/invitations/:invitationId/decline
+// @access  Private (protect)
+const declineInvitation = async (req, res) => {
+    try {
+        const result = await respondToInvitation(req, res, 'declined');
+        if (!result) return;
+
+        res.status(200).json({ success: true, message: 'Invitation declined.' });
+    } catch (error) {
+        console.error('Error declining invitation:', error);
+        res.status(500).json({ success: false, message: 'Server error while declining the invitation.' });
+    }
+};
+
+// ---------------------- Invitations: the community's side ----------------------
+
+// @desc    Invitations sent from a community (?status=pending|accepted|declined|revoked|expired)
+// @route   GET /api/v1/communities/:idOrSlug/invitations
+// @access  Private (community admin or manage_invites moderator)
+const getCommunityInvitations = async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !INVITATION_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}.` });
+        }
+
+        const community = await findInvitingCommunity(req, res);
+        if (!community) return;
+
+        const now = new Date();
+        const filter = { community: community._id };
+        if (status === 'pending') Object.assign(filter, { status: 'pending', expiresAt: { $gt: now } });
+        else if (status === 'expired') Object.assign(filter, { status: 'pending', expiresAt: { $lte: now } });
+        else if (status) filter.status = status;
+
+        const invitations = await Invitation.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .populate('invitedBy', 'username')
+            .populate('invitee', 'username profileImage');
+
+        res.status(200).json({
+            success: true,
+            count: invitations.length,
+            data: invitations.map(invitation => ({
+                ...presentInvitation(invitation, now),
+                invitee: invitation.invitee
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching community invitations:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching invitations.' });
+    }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/v1/communities/:idOrSlug/invitations/:invitationId
+// @access  Private (community admin or manage_invites moderator)
+const revokeInvitation = async (req, res) => {
+    try {
+        const { invitationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+            return res.status(404).json({ success: false, message: 'Invitation not found.' });
+        }
+
+        const community = await findInvitingCommunity(req, res);
+        if (!community) return;
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: invitationId, community: community._id, status: 'pending' },
+            { $set: { status: 'revoked', revokedBy: req.user._id } },
+            { new: true }
+        );
+        if (!invitation) {
+            return res.status(404).json({ success: false, message: 'Pending invitation not found.' });
+        }
+
+        // Take the invitation out of the invitee's notifications
+        await Notification.deleteMany({ type: 'COMMUNITY_INVITE', 'data.invitationId': invitation._id });
+
+        res.status(200).json({ success: true, message: 'Invitation revoked.' });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ success: false, message: 'Server error while revoking the invitation.' });
+    }
+};
+
+// ---------------------- Shareable invite links ----------------------
+
+// @desc    Create an invite link (the URL is returned only in this response)
+// @route   POST /api/v1/communities/:idOrSlug/invite-links   { maxUses?, expiresInHours? }
+// @access  Private (community admin or manage_invites moderator)
+const createInviteLink = async (req, res) => {
+    try {
+        const { maxUses, expiresAt, error } = parseInviteLinkInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findInvitingCommunity(req, res);
+        if (!community) return;
+
+        const { token, tokenHash, prefix, url } = generateInviteLinkToken();
+        const link = await InviteLink.create({
+            community: community._id,
+            createdBy: req.user._id,
+            tokenHash,
+            prefix,
+            maxUses,
+            expiresAt
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Invite link created. Copy it now; it will not be shown again.',
+            token,
+            url,
+            data: presentInviteLink(link)
+        });
+    } catch (error) {
+        console.error('Error creating invite link:', error);
+        res.status(500).json({ success: false, message: 'Server error while creating the invite link.' });
+    }
+};
+
+// @desc    A community's invite links, newest first
+// @route   GET /api/v1/communities/:idOrSlug/invite-links
+// @access  Private (community admin or manage_invites moderator)
+const getInviteLinks = async (req, res) => {
+    try {
+        const community = await findInvitingCommunity(req, res);
+        if (!community) return;
+
+        const links = await InviteLink.find({ community: community._id })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('createdBy', 'username');
+
+        const now = new Date();
+        res.status(200).json({
+            success: true,
+            count: links.length,
+            data: links.map(link => presentInviteLink(link, now))
+        });
+    } catch (error) {
+        console.error('Error fetching invite links:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching invite links.' });
+    }
+};
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/v1/communities/:idOrSlug/invite-links/:linkId
+// @access  Private (community admin or manage_invites moderator)
+const revokeInviteLink = async (req, res) => {
+    try {
+        const { linkId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(linkId)) {
+            return res.status(404).json({ success: false, message: 'Invite link not found.' });
+        }
+
+        const community = await findInvitingCommunity(req, res);
+        if (!community) return;
+
+        const result = await InviteLink.updateOne(
+            { _id: linkId, community: community._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user._id } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Invite link not found.' });
+        }
+
+        res.status(200).json({ success: true, message: 'Invite link revoked.' });
+    } catch (error) {
+        console.error('Error revoking invite link:', error);
+        res.status(500).json({ success: false, message: 'Server error while revoking the invite link.' });
+    }
+};
+
+// Finds the link and its community for a token in the URL; answers 404/410 itself and returns null
+const findUsableLink = async (req, res) => {
+    const link = await InviteLink.findOne({ tokenHash: hashInviteLinkToken(req.params.token) })
+        .populate('community', COMMUNITY_SUMMARY);
+
+    if (!link || !link.community || !link.community.isActive) {
+        res.status(404).json({ success: false, message: 'Invite link not found.' });
+        return null;
+    }
+
+    if (!link.isUsable()) {
+        res.status(410).json({ success: false, message: 'This invite link has expired, been used up or been revoked.' });
+        return null;
+    }
+
+    return link;
+};
+
+// @desc    What an invite link leads to, so the client can show it before joining
+// @route   GET /api/v1/communities/invite-links/:token
+// @access  Public
+const previewInviteLink = async (req, res) => {
+    try {
+        const link = await findUsableLink(req, res);
+        if (!link) return;
+
+        const { _id, name, slug, description, icon, coverImage, visibility, memberCount } = link.community;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                community: { _id, name, slug, description, icon, coverImage, visibility, memberCount },
+                expiresAt: link.expiresAt,
+                usesLeft: link.maxUses === null ? null : link.maxUses - link.uses
+            }
+        });
+    } catch (error) {
+        console.error('Error previewing invite link:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching the invite link.' });
+    }
+};
+
+// @desc    Join through an invite link; private communities are joined without a join request
+// @route   POST /api/v1/communities/invite-links/:token/join
+// @access  Private (protect)
+const joinWithInviteLink = async (req, res) => {
+    try {
+        const link = await findUsableLink(req, res);
+        if (!link) return;
+
+        const community = await Community.findById(link.community._id);
+        const userId = req.user._id;
+
+        const restriction = checkReadAccess(community, userId);
+        if (restriction) {
+            return sendRestriction(res, restriction);
+        }
+
+        // Members don't use up a seat
+        if (community.isMember(userId)) {
+            return res.status(400).json({ success: false, message: 'You are already a member of this community.' });
+        }
+
+        if (!(await InviteLink.redeem(hashInviteLinkToken(req.params.token)))) {
+            return res.status(410).json({ success: false, message: 'This invite link has expired, been used up or been revoked.' });
+        }
+
+        await admitMember(community, userId);
+        await welcome(userId, community, 'invite_link');
+
+        res.status(200).json({
+            success: true,
+            message: `Successfully joined community: ${community.name}`,
+            data: {
+                _id: community._id,
+                slug: community.slug,
+                memberCount: community.memberCount
+            }
+        });
+    } catch (error) {
+        console.error('Error joining with invite link:', error);
+        res.status(500).json({ success: false, message: 'Server error while joining the community.' });
+    }
+};
+
+export {
+    getMyInvitations,
+    acceptInvitation,
+    declineInvitation,
+    getCommunityInvitations,
+    revokeInvitation,
+    createInviteLink,
+    getInviteLinks,
+    revokeInviteLink,
+    previewInviteLink,
+    joinWithInviteLink
+};
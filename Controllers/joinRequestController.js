@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import Notification from '../Models/Notification.js';
+import JoinRequest from '../Models/JoinRequest.js';
+import { findCommunityByIdOrSlug } from '../Utilities/communityResolvers.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { admitMember } from '../Utilities/communityMembership.js';
+
+const REQUEST_STATUSES = ['pending', 'approved', 'denied', 'withdrawn'];
+const MAX_REASON_LENGTH = 500;
+
+const communityData = (community) => ({
+    communityId: community._id,
+    communityName: community.name,
+    communitySlug: community.slug
+});
+
+// Loads the community in the URL for the review queue; answers 404/403 itself and returns null
+const findReviewedCommunity = async (req, res) => {
+    const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+    if (!community || !community.isActive) {
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (!community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_USERS)) {
+        res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage users can review join requests.' });
+        return null;
+    }
+
+    return community;
+};
+
+/**
+ * Moves a pending request to its final state. Conditional on it still being pending,
+ * so two moderators deciding at once can't both win.
+ * @returns {Promise<Object|null>} The updated request, or null if it was no longer pending.
+ */
+const resolveRequest = (requestId, communityId, update) => JoinRequest.findOneAndUpdate(
+    { _id: requestId, community: communityId, status: 'pending' },
+    { $set: update },
+    { new: true }
+);
+
+// @desc    The join request queue (pending by default; ?status= for history)
+// @route   GET /api/v1/communities/:idOrSlug/join-requests?status=&page=&limit=
+// @access  Private (community admin or manage_users moderator)
+const getJoinRequests = async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!REQUEST_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${REQUEST_STATUSES.join(', ')}.` });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const community = await findReviewedCommunity(req, res);
+        if (!community) return;
+
+        const filter = { community: community._id, status };
+        const [requests, total] = await Promise.all([
+            JoinRequest.find(filter)
+                // Oldest first for the queue, newest first for history
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', 'username profileImage bio')
+                .populate('reviewedBy', 'username')
+                .lean(),
+            JoinRequest.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            pagination: { total, page, pages: Math.ceil(total / limit) },
+            data: requests
+        });
+    } catch (error) {
+        console.error('Error fetching join requests:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching join requests.' });
+    }
+};
+
+// @desc    Approve a join request; the applicant becomes a member
+// @route   POST /api/v1/communities/:idOrSlug/join-requests/:requestId/approve
+// @access  Private (community admin or manage_users moderator)
+const approveJoinRequest = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            return res.status(404).json({ success: false, message: 'Join request not found.' });
+        }
+
+        const community = await findReviewedCommunity(req, res);
+        if (!community) return;
+
+        const pending = await JoinRequest.findOne({ _id: requestId, community: community._id, status: 'pending' });
+        if (!pending) {
+            return res.status(404).json({ success: false, message: 'Pending join request not found.' });
+        }
+
+        // Someone banned after asking has to be unbanned first
+        if (community.isBanned(pending.user)) {
+            return res.status(400).json({ success: false, message: 'This user is banned from the community; lift the ban before approving.' });
+        }
+
+        const joinRequest = await resolveRequest(pending._id, community._id, {
+            status: 'approved',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date()
+        });
+        if (!joinRequest) {
+            return res.status(409).json({ success: false, message: 'This request was already handled or withdrawn.' });
+        }
+
+        await admitMember(community, joinRequest.user);
+
+        await Notification.create({
+            user: joinRequest.user,
+            type: 'welcome',
+            title: '✅ Join Request Approved!',
+            message: `Your request to join "${community.name}" was approved. Welcome!`,
+            data: { ...communityData(community), joinRequestId: joinRequest._id, memberCount: community.memberCount }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Join request approved.',
+            data: joinRequest
+        });
+    } catch (error) {
+        console.error('Error approving join request:', error);
+        res.status(500).json({ success: false, message: 'Server error while approving the join request.' });
+    }
+};
+
+// @desc    Deny a join request, optionally telling the applicant why
+// @route   POST /api/v1/communities/:idOrSlug/join-requests/:requestId/deny   { reason? }
+// @access  Private (community admin or manage_users moderator)
+const denyJoinRequest = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+        if (reason.length > MAX_REASON_LENGTH) {
+            return res.status(400).json({ success: false, message: `Reason cannot exceed ${MAX_REASON_LENGTH} characters.` });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            return res.status(404).json({ success: false, message: 'Join request not found.' });
+        }
+
+        const community = await findReviewedCommunity(req, res);
+        if (!community) return;
+
+        const joinRequest = await resolveRequest(requestId, community._id, {
+            status: 'denied',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            decisionReason: reason || undefined
+        });
+        if (!joinRequest) {
+            return res.status(404).json({ success: false, message: 'Pending join request not found.' });
+        }
+
+        await Notification.create({
+            user: joinRequest.user,
+            type: 'info',
+            title: '❌ Join Request Declined',
+            message: `Your request to join "${community.name}" was declined.${reason ? ` Reason: ${reason}` : ''}`,
+            data: { ...communityData(community), joinRequestId: joinRequest._id, reason: reason || null }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Join request denied.',
+            data: joinRequest
+        });
+    } catch (error) {
+        console.error('Error denying join request:', error);
+        res.status(500).json({ success: false, message: 'Server error while denying the join request.' });
+    }
+};
+
+// @desc    Withdraw your own pending join request
+// @route   DELETE /api/v1/communities/:idOrSlug/join-request
+// @access  Private (protect)
+const withdrawJoinRequest = async (req, res) => {
+    try {
+        const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+        if (!community) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        const joinRequest = await JoinRequest.findOneAndUpdate(
+            { community: community._id, user: req.user._id, status: 'pending' },
+            { $set: { status: 'withdrawn' } },
+            { new: true }
+        );
+        if (!joinRequest) {
+            return res.status(404).json({ success: false, message: 'You have no pending request to join this community.' });
+        }
+
+        res.status(200).json({ success: true, message: 'Join request withdrawn.' });
+    } catch (error) {
+        console.error('Error withdrawing join request:', error);
+        res.status(500).json({ success: false, message: 'Server error while withdrawing the join request.' });
+    }
+};
+
+export {
+    getJoinRequests,
+    approveJoinRequest,
+    denyJoinRequest,
+    withdrawJoinRequest
+};
@@ -0,0 +1,391 @@
+import mongoose from 'mongoose';
+import Community from '../Models/Community.js';
+import UserModel from '../Models/UserModel.js';
+import Notification from '../Models/Notification.js';
+import { findCommunityByIdOrSlug } from '../Utilities/communityResolvers.js';
+import { COMMUNITY_PERMISSIONS, DEFAULT_MODERATOR_PERMISSIONS } from '../Utilities/permissions.js';
+
+// How long the proposed new owner has to accept an ownership transfer
+const TRANSFER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ALL_PERMISSIONS = Object.values(COMMUNITY_PERMISSIONS);
+
+// Validates an optional permission list; missing means the defaults
+const parsePermissions = (permissions) => {
+    if (permissions === undefined) return { permissions: DEFAULT_MODERATOR_PERMISSIONS };
+
+    if (!Array.isArray(permissions)) {
+        return { error: `permissions must be a list. Use: ${ALL_PERMISSIONS.join(', ')}` };
+    }
+
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        return { error: `Unknown permission(s): ${unknown.join(', ')}. Use: ${ALL_PERMISSIONS.join(', ')}` };
+    }
+
+    return { permissions: [...new Set(permissions)] };
+};
+
+const hasPendingTransfer = (community) => Boolean(
+    community.ownershipTransfer &&
+    community.ownershipTransfer.to &&
+    community.ownershipTransfer.expiresAt > new Date()
+);
+
+const notify = (userId, community, title, message, data = {}) => Notification.create({
+    user: userId,
+    type: 'community',
+    title,
+    message,
+    data: { communityId: community._id, communityName: community.name, communitySlug: community.slug, ...data }
+});
+
+// Loads the community in the URL for an admin-only route; answers 404/403 itself and returns null
+const findAdministeredCommunity = async (req, res) => {
+    const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+    if (!community || !community.isActive) {
+        res.status(404).json({ success: false, message: 'Community not found.' });
+        return null;
+    }
+
+    if (!community.isAdmin(req.user._id)) {
+        res.status(403).json({ success: false, message: 'Only the community admin can manage the moderator team.' });
+        return null;
+    }
+
+    return community;
+};
+
+// @desc    List the admin and moderators with their permissions
+// @route   GET /api/v1/communities/:idOrSlug/moderators
+// @access  Private (protect; private and hidden communities only show their team to members)
+const getModerators = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+        if (!community || !community.isActive) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        const isMember = community.isMember(userId);
+
+        if (community.visibility === 'hidden' && !isMember) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        if ((community.visibility === 'private' || community.isPrivate) && !isMember) {
+            return res.status(403).json({ success: false, message: 'This community is private.' });
+        }
+
+        const team = community.members.filter(member => member.role === 'admin' || member.role === 'moderator');
+        const users = await UserModel.find({ _id: { $in: team.map(member => member.user) } })
+            .select('username profileImage')
+            .lean();
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+        const data = team.map(member => ({
+            user: usersById.get(member.user.toString()) || { _id: member.user },
+            role: member.role,
+            permissions: member.role === 'admin' ? ALL_PERMISSIONS : member.permissions,
+            joinedAt: member.joinedAt
+        }));
+
+        // Only the two people involved see a pending handover
+        let ownershipTransfer = null;
+        if (hasPendingTransfer(community) &&
+            (community.isAdmin(userId) || community.ownershipTransfer.to.equals(userId))) {
+            const { to, requestedAt, expiresAt } = community.ownershipTransfer;
+            ownershipTransfer = { to, requestedAt, expiresAt };
+        }
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data,
+            ownershipTransfer
+        });
+    } catch (error) {
+        console.error('Error fetching moderators:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching moderators.' });
+    }
+};
+
+// @desc    Appoint a member as moderator, or change a moderator's permissions
+// @route   PUT /api/v1/communities/:idOrSlug/moderators/:userId   { permissions?: [String] }
+// @access  Private (community admin)
+const setModerator = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const { permissions, error } = parsePermissions(req.body && req.body.permissions);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const community = await findAdministeredCommunity(req, res);
+        if (!community) return;
+
+        const member = community.getMember(userId);
+        if (!member) {
+            return res.status(400).json({ success: false, message: 'Only members of the community can become moderators.' });
+        }
+        if (member.role === 'admin') {
+            return res.status(400).json({ success: false, message: 'The admin already has every permission.' });
+        }
+
+        const wasModerator = member.role === 'moderator';
+        const targetId = new mongoose.Types.ObjectId(userId);
+
+        // Positional update on the member entry, so concurrent joins and leaves aren't lost
+        const result = await Community.updateOne(
+            { _id: community._id, members: { $elemMatch: { user: targetId, role: { $ne: 'admin' } } } },
+            { $set: { 'members.$.role': 'moderator', 'members.$.permissions': permissions } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ success: false, message: 'The member left or changed role meanwhile, please try again.' });
+        }
+
+        await notify(
+            targetId,
+            community,
+            wasModerator ? '🛡️ Moderator Permissions Updated' : '🛡️ You Are Now a Moderator',
+            wasModerator
+                ? `Your moderator permissions in "${community.name}" were updated.`
+                : `${req.user.username} made you a moderator of "${community.name}".`,
+            { permissions }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: wasModerator ? 'Moderator permissions updated.' : 'Moderator appointed.',
+            data: { user: targetId, role: 'moderator', permissions }
+        });
+    } catch (error) {
+        console.error('Error setting moderator:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the moderator team.' });
+    }
+};
+
+// @desc    Remove a moderator (they stay a member); moderators may also step down themselves
+// @route   DELETE /api/v1/communities/:idOrSlug/moderators/:userId
+// @access  Private (community admin, or the moderator themself)
+const removeModerator = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+        if (!community || !community.isActive) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        const steppingDown = userId === req.user._id.toString();
+        if (!steppingDown && !community.isAdmin(req.user._id)) {
+            return res.status(403).json({ success: false, message: 'Only the community admin can remove moderators.' });
+        }
+
+        if (!community.isModerator(userId)) {
+            return res.status(404).json({ success: false, message: 'This user is not a moderator of the community.' });
+        }
+
+        const targetId = new mongoose.Types.ObjectId(userId);
+        await Community.updateOne(
+            { _id: community._id, members: { $elemMatch: { user: targetId, role: 'moderator' } } },
+            { $set: { 'members.$.role': 'member', 'members.$.permissions': [] } }
+        );
+
+        if (steppingDown) {
+            await notify(
+                community.admin,
+                community,
+                '🛡️ Moderator Stepped Down',
+                `${req.user.username} is no longer a moderator of "${community.name}".`,
+                { moderatorId: targetId }
+            );
+        } else {
+            await notify(
+                targetId,
+                community,
+                '🛡️ Moderator Role Removed',
+                `You are no longer a moderator of "${community.name}". You remain a member.`
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: steppingDown ? 'You are no longer a moderator.' : 'Moderator removed.'
+        });
+    } catch (error) {
+        console.error('Error removing moderator:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the moderator team.' });
+    }
+};
+
+// @desc    Propose a member as the new owner; the transfer completes when they accept
+// @route   POST /api/v1/communities/:idOrSlug/ownership-transfer   { userId }
+// @access  Private (community admin)
+const requestOwnershipTransfer = async (req, res) => {
+    try {
+        const { userId } = req.body || {};
+
+        if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Please provide the user ID of the new owner.' });
+        }
+
+        const community = await findAdministeredCommunity(req, res);
+        if (!community) return;
+
+        if (community.isAdmin(userId)) {
+            return res.status(400).json({ success: false, message: 'You already own this community.' });
+        }
+        if (!community.isMember(userId)) {
+            return res.status(400).json({ success: false, message: 'Ownership can only be transferred to a member of the community.' });
+        }
+
+        const requestedAt = new Date();
+        community.ownershipTransfer = {
+            to: userId,
+            requestedAt,
+            expiresAt: new Date(requestedAt.getTime() + TRANSFER_TTL_MS)
+        };
+        await community.save();
+
+        await notify(
+            community.ownershipTransfer.to,
+            community,
+            `👑 Become the Owner of ${community.name}?`,
+            `${req.user.username} wants to hand "${community.name}" over to you. Accept or decline the transfer from the community page.`,
+            { expiresAt: community.ownershipTransfer.expiresAt, requestedBy: req.user._id }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Ownership transfer requested. It completes once the new owner accepts.',
+            data: {
+                to: community.ownershipTransfer.to,
+                requestedAt,
+                expiresAt: community.ownershipTransfer.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Error requesting ownership transfer:', error);
+        res.status(500).json({ success: false, message: 'Server error while requesting the ownership transfer.' });
+    }
+};
+
+// @desc    Withdraw a pending ownership transfer
+// @route   DELETE /api/v1/communities/:idOrSlug/ownership-transfer
+// @access  Private (community admin)
+const cancelOwnershipTransfer = async (req, res) => {
+    try {
+        const community = await findAdministeredCommunity(req, res);
+        if (!community) return;
+
+        if (!hasPendingTransfer(community)) {
+            return res.status(404).json({ success: false, message: 'There is no pending ownership transfer.' });
+        }
+
+        community.ownershipTransfer = undefined;
+        await community.save();
+
+        res.status(200).json({ success: true, message: 'Ownership transfer cancelled.' });
+    } catch (error) {
+        console.error('Error cancelling ownership transfer:', error);
+        res.status(500).json({ success: false, message: 'Server error while cancelling the ownership transfer.' });
+    }
+};
+
+// Loads the community for the proposed new owner; answers 404 itself and returns null
+const findTransferForRecipient = async (req, res) => {
+    const community = await findCommunityByIdOrSlug(req.params.idOrSlug);
+
+    if (!community || !community.isActive || !hasPendingTransfer(community) ||
+        !community.ownershipTransfer.to.equals(req.user._id)) {
+        res.status(404).json({ success: false, message: 'There is no pending ownership transfer for you.' });
+        return null;
+    }
+
+    return community;
+};
+
+// @desc    Accept ownership; the previous admin stays on as a moderator with every permission
+// @route   POST /api/v1/communities/:idOrSlug/ownership-transfer/accept
+// @access  Private (the proposed new owner)
+const acceptOwnershipTransfer = async (req, res) => {
+    try {
+        const community = await findTransferForRecipient(req, res);
+        if (!community) return;
+
+        const previousAdmin = community.admin;
+        const transferred = await Community.transferOwnership(community._id, previousAdmin, req.user._id, {
+            'ownershipTransfer.to': req.user._id,
+            'ownershipTransfer.expiresAt': { $gt: new Date() }
+        });
+        if (!transferred) {
+            // The offer lapsed or was withdrawn, or the recipient left, since it was loaded
+            return res.status(409).json({ success: false, message: 'The ownership transfer is no longer valid. Make sure you are still a member and ask the admin to try again.' });
+        }
+
+        await notify(
+            previousAdmin,
+            community,
+            '👑 Ownership Transferred',
+            `${req.user.username} accepted ownership of "${community.name}". You are now a moderator with every permission.`,
+            { newAdminId: req.user._id }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `You are now the admin of ${community.name}.`,
+            data: { _id: community._id, slug: community.slug, admin: req.user._id }
+        });
+    } catch (error) {
+        console.error('Error accepting ownership transfer:', error);
+        res.status(500).json({ success: false, message: 'Server error while accepting the ownership transfer.' });
+    }
+};
+
+// @desc    Decline a proposed ownership transfer
+// @route   POST /api/v1/communities/:idOrSlug/ownership-transfer/decline
+// @access  Private (the proposed new owner)
+const declineOwnershipTransfer = async (req, res) => {
+    try {
+        const community = await findTransferForRecipient(req, res);
+        if (!community) return;
+
+        community.ownershipTransfer = undefined;
+        await community.save();
+
+        await notify(
+            community.admin,
+            community,
+            '👑 Ownership Transfer Declined',
+            `${req.user.username} declined to take over "${community.name}".`
+        );
+
+        res.status(200).json({ success: true, message: 'Ownership transfer declined.' });
+    } catch (error) {
+        console.error('Error declining ownership transfer:', error);
+        res.status(500).json({ success: false, message: 'Server error while declining the ownership transfer.' });
+    }
+};
+
+export {
+    getModerators,
+    setModerator,
+    removeModerator,
+    requestOwnershipTransfer,
+    cancelOwnershipTransfer,
+    acceptOwnershipTransfer,
+    declineOwnershipTransfer
+};
@@ -0,0 +1,350 @@
+import jwt from 'jsonwebtoken';
+import User from '../Models/UserModel.js';
+import OidcState from '../Models/OidcState.js';
+import Notification from '../Models/Notification.js';
+import { beginLogin } from './AuthController.js';
+import {
+  listProviders, getProvider, createPkcePair, randomToken,
+  buildAuthorizationUrl, exchangeCode, verifyIdToken
+} from '../Utilities/oidc.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const SIGNUP_PURPOSE = 'oidc_signup';
+const SIGNUP_TOKEN_EXPIRES_IN = '15m';
+
+// Carries a verified external identity from the callback to the signup form
+const signSignupToken = (claims) => jwt.sign(
+  { purpose: SIGNUP_PURPOSE, provider: claims.provider, subject: claims.sub, email: claims.email },
+  process.env.JWT_SECRET,
+  { expiresIn: SIGNUP_TOKEN_EXPIRES_IN }
+);
+
+const verifySignupToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === SIGNUP_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Same inputs register accepts: an array, a JSON array string or a comma-separated string
+const parseInterests = (interests) => {
+  if (Array.isArray(interests)) return interests;
+  if (typeof interests !== 'string') return [];
+  try {
+    const parsed = JSON.parse(interests);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return interests.split(',').map(i => i.trim()).filter(Boolean);
+  }
+};
+
+const presentIdentities = (user) => (user.identities || []).map(({ provider, email, linkedAt }) => ({
+  provider,
+  email,
+  linkedAt
+}));
+
+// Creates the state record and returns where to send the browser
+const startAuthorization = async (provider, linkUser = null) => {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = randomToken();
+  const nonce = randomToken();
+
+  await OidcState.create({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    linkUser,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+};
+
+// --- List Configured Identity Providers ---
+export const getOidcProviders = (req, res) => {
+  try {
+    res.status(200).json({ success: true, providers: listProviders() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Start Login With a Provider ---
+export const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider)
+      return res.status(404).json({ success: false, message: 'Unknown identity provider' });
+
+    const authorizationUrl = await startAuthorization(provider);
+    res.status(200).json({ success: true, authorizationUrl });
+
+  } catch (error) {
+    console.error('🚨 OIDC start failed:', error.message);
+    res.status(502).json({ success: false, message: 'Could not reach the identity provider' });
+  }
+};
+
+// --- Start Linking a Provider to the Signed-in Account (finished by oidcLinkCallback) ---
+export const startOidcLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider)
+      return res.status(404).json({ success: false, message: 'Unknown identity provider' });
+
+    const authorizationUrl = await startAuthorization(provider, req.user._id);
+    res.status(200).json({ success: true, authorizationUrl });
+
+  } catch (error) {
+    console.error('🚨 OIDC link start failed:', error.message);
+    res.status(502).json({ success: false, message: 'Could not reach the identity provider' });
+  }
+};
+
+// Checks the code and state the client posted back and verifies the ID token. The state is only
+// consumed by the flow that started it: logins (linkUser null) or the signed-in user's own link.
+// Answers errors itself and returns null.
+const verifyCallback = async (req, res, linkUser) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    res.status(400).json({ success: false, message: 'Please provide the code and state from the provider' });
+    return null;
+  }
+
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404).json({ success: false, message: 'Unknown identity provider' });
+    return null;
+  }
+
+  // Single use: deleting the state means a replayed callback finds nothing
+  const pending = await OidcState.findOneAndDelete({
+    state,
+    provider: provider.id,
+    linkUser,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending) {
+    res.status(400).json({ success: false, message: 'Login request expired or already used, please start again' });
+    return null;
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeCode(provider, { code, codeVerifier: pending.codeVerifier });
+    if (!tokens.id_token) throw new Error('Token response did not include an ID token');
+    claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+  } catch (providerError) {
+    console.error('🚨 OIDC callback failed:', providerError.message);
+    res.status(401).json({ success: false, message: 'Could not verify your identity with the provider' });
+    return null;
+  }
+
+  const identity = { provider: provider.id, subject: String(claims.sub), email: claims.email };
+  const owner = await User.findOne({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+  });
+
+  return { provider, claims, identity, owner };
+};
+
+// --- Provider Callback for Logins (the client posts back the code and state it received) ---
+export const oidcCallback = async (req, res) => {
+  try {
+    const verified = await verifyCallback(req, res, null);
+    if (!verified) return;
+
+    const { provider, claims, identity, owner } = verified;
+    const emailVerified = Boolean(claims.email) && (claims.email_verified === true || claims.email_verified === 'true');
+
+    let user = owner;
+
+    // First sign-in with this identity: link to the account that owns the verified email
+    if (!user && emailVerified) {
+      const existing = await User.findOne({ email: claims.email.toLowerCase() });
+
+      if (existing && !existing.isEmailVerified)
+        return res.status(409).json({
+          success: false,
+          message: 'An unverified account already uses this email. Sign in with your password or reset it first.'
+        });
+
+      if (existing) {
+        user = await User.findByIdAndUpdate(existing._id, { $push: { identities: identity } }, { new: true });
+
+        await Notification.create({
+          user: user._id,
+          type: 'info',
+          title: '🔗 Sign-in Method Added',
+          message: `Your ${provider.name} account was linked and can now be used to sign in.`,
+          data: { provider: provider.id, linkedAt: new Date() }
+        });
+      }
+    }
+
+    // No account yet: the client collects the remaining profile fields and calls /oidc/signup
+    if (!user) {
+      if (!emailVerified)
+        return res.status(400).json({
+          success: false,
+          message: `Your ${provider.name} account has no verified email address, so we can't create an account from it`
+        });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Complete your profile to finish signing up',
+        signupRequired: true,
+        signupToken: signSignupToken({ ...claims, provider: provider.id }),
+        profile: {
+          email: claims.email,
+          name: claims.name,
+          suggestedUsername: (claims.preferred_username || claims.name || '').replace(/[^a-zA-Z0-9_ ]/g, '').slice(0, 30)
+        }
+      });
+    }
+
+    if (!user.isActive)
+      return res.status(403).json({ success: false, message: 'Account is deactivated' });
+
+    await beginLogin(user, req, res);
+
+  } catch (error) {
+    console.error('🚨 Error in OIDC callback:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Provider Callback for Linking (signed in as the user who started the link) ---
+export const oidcLinkCallback = async (req, res) => {
+  try {
+    const verified = await verifyCallback(req, res, req.user._id);
+    if (!verified) return;
+
+    const { provider, identity, owner } = verified;
+
+    if (owner && !owner._id.equals(req.user._id))
+      return res.status(409).json({ success: false, message: `This ${provider.name} account is linked to another user` });
+
+    const user = owner || await User.findOneAndUpdate(
+      { _id: req.user._id, 'identities.provider': { $ne: provider.id } },
+      { $push: { identities: identity } },
+      { new: true }
+    );
+    if (!user)
+      return res.status(409).json({ success: false, message: `Your account is already linked to a different ${provider.name} account` });
+
+    res.status(200).json({
+      success: true,
+      message: `${provider.name} account linked`,
+      identities: presentIdentities(user)
+    });
+
+  } catch (error) {
+    console.error('🚨 Error in OIDC link callback:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Finish Signing Up With a Provider Identity ---
+export const completeOidcSignup = async (req, res) => {
+  try {
+    const { signupToken, username, bio, interests } = req.body;
+
+    const pending = verifySignupToken(signupToken);
+    if (!pending)
+      return res.status(401).json({ success: false, message: 'Signup session expired, please sign in with the provider again' });
+
+    const userInterests = parseInterests(interests);
+    if (!username || userInterests.length === 0)
+      return res.status(400).json({ success: false, message: 'Please provide a username and at least one interest' });
+
+    const identityTaken = await User.exists({
+      identities: { $elemMatch: { provider: pending.provider, subject: pending.subject } }
+    });
+    const email = pending.email.toLowerCase();
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+
+    if (identityTaken || (existingUser && existingUser.email === email))
+      return res.status(400).json({ success: false, message: 'An account already exists for this identity; sign in instead' });
+
+    if (existingUser)
+      return res.status(400).json({ success: false, message: 'Username already taken' });
+
+    const user = await User.create({
+      username,
+      email,
+      bio,
+      interests: userInterests,
+      // The provider vouched for the address
+      isEmailVerified: true,
+      identities: [{ provider: pending.provider, subject: pending.subject, email: pending.email }]
+    });
+
+    await Notification.create({
+      user: user._id,
+      type: 'welcome',
+      title: '🎉 Welcome!',
+      message: `Hi ${user.username}, your account is ready.`,
+      data: { provider: pending.provider }
+    });
+
+    await beginLogin(user, req, res);
+
+  } catch (error) {
+    console.error('🚨 Error in OIDC signup:', error);
+
+    if (error.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: `Validation error: ${error.message}` });
+
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- List Linked Identities ---
+export const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('identities');
+    res.status(200).json({ success: true, identities: presentIdentities(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Unlink an Identity (never the last way to sign in) ---
+export const unlinkIdentity = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.user._id).select('+password identities');
+
+    if (!user.identities.some(identity => identity.provider === provider))
+      return res.status(404).json({ success: false, message: 'No linked identity for this provider' });
+
+    if (!user.password && user.identities.length === 1)
+      return res.status(400).json({
+        success: false,
+        message: 'This is your only way to sign in. Set a password (via forgot password) before unlinking it.'
+      });
+
+    // Re-checked in the update so a parallel unlink can't remove the last identity too
+    const filter = { _id: user._id };
+    if (!user.password) filter['identities.1'] = { $exists: true };
+
+    const updated = await User.findOneAndUpdate(filter, { $pull: { identities: { provider } } }, { new: true });
+    if (!updated)
+      return res.status(409).json({ success: false, message: 'Your sign-in methods changed, please try again' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Identity unlinked',
+      identities: presentIdentities(updated)
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
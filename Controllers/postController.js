@@ -2,8 +2,16 @@
 import Post from '../Models/Post.js';
 import Notification from '../Models/Notification.js';
 import Community from '../Models/Community.js'; 
+import User from '../Models/UserModel.js';
 import path from 'path';
-import Comment from '../Models/Comment.js';
+import { VOTE_DIRECTIONS, getUserVote } from '../Utilities/votes.js';
+import { parsePollInput, isPollOpen, openPollFilter, buildPollVotePipeline, tallyPoll } from '../Utilities/polls.js';
+import { presentPost } from '../Utilities/postPresenter.js';
+import { parseFeedOptions, fetchFeedPage } from '../Utilities/feed.js';
+import { tokenAllows } from '../Utilities/apiTokens.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+import { checkDiscussionAccess, checkParticipation, findRestriction, sendRestriction } from '../Utilities/communityRestrictions.js';
+import { discardRequestUploads } from '../Utilities/uploads.js';
 
 // Helper to get io instance
 const getIo = (req) => req.app.get('io');
@@ -38,25 +46,85 @@ const notifyCommunityMembers = async (post, communityId, authorId, authorUsernam
 };
 
 /**
- * @desc Create a new post (text or with file)
+ * Helper to check whether a user may moderate a community's posts
+ * (canModerate is false for API tokens without the "moderate" scope)
+ */
+const canModeratePost = async (post, userId, canModerate = true) => {
+    if (post.author && post.author.toString() === userId.toString()) return true;
+    if (!canModerate) return false;
+
+    // Only the caller's own membership entry is needed
+    const community = await Community.findById(post.community)
+        .select({ admin: 1, members: { $elemMatch: { user: userId } } });
+    if (!community) return false;
+
+    return community.hasPermission(userId, COMMUNITY_PERMISSIONS.MANAGE_POSTS);
+};
+
+/**
+ * @desc Create a new post (text, with file, or a poll when type is 'poll')
  * @route POST /api/v1/posts
  * @access Private
  */
 export const createPost = async (req, res) => {
     try {
-        let { content, communityId } = req.body;
+        let { content, communityId, type } = req.body;
         const author = req.user._id;
 
+        // Poll posts can fall back to their question as the post content
+        let poll = null;
+        if (type === 'poll' || req.body.poll) {
+            const parsed = parsePollInput(req.body.poll);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, message: parsed.error });
+            }
+            poll = parsed.poll;
+            content = content || poll.question;
+        }
+
         // Validation
         if (!content || !communityId) {
             return res.status(400).json({ success: false, message: 'Content and community ID are required.' });
         }
 
+        // Only the author's own membership entry is needed for the role checks below
+        const community = await Community.findById(communityId)
+            .select({ isActive: 1, settings: 1, bannedUsers: 1, mutedUsers: 1, admin: 1, members: { $elemMatch: { user: author } } });
+        if (!community || !community.isActive) {
+            await discardRequestUploads(req);
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        // Banned and muted users can't post
+        const restriction = checkParticipation(community, author);
+        if (restriction) {
+            await discardRequestUploads(req);
+            return sendRestriction(res, restriction);
+        }
+
+        const settings = community.settings || {};
+        const isStaff = community.isAdmin(author) || community.isModerator(author);
+
+        if (settings.allowPostCreation === false && !isStaff) {
+            await discardRequestUploads(req);
+            return res.status(403).json({ success: false, message: 'Only the admin and moderators can post in this community.' });
+        }
+
+        if (poll && settings.allowPolls === false) {
+            await discardRequestUploads(req);
+            return res.status(403).json({ success: false, message: 'Polls are not allowed in this community.' });
+        }
+
+        // With requireApproval, posts wait in the review queue unless their author can approve posts
+        const needsApproval = settings.requireApproval === true
+            && !community.hasPermission(author, COMMUNITY_PERMISSIONS.MANAGE_POSTS);
+
         let newPostData = {
             content,
             community: communityId,
             author,
-            type: 'text'
+            type: 'text',
+            isApproved: !needsApproval
         };
 
         // Handle multiple file uploads
@@ -111,6 +179,11 @@ export const createPost = async (req, res) => {
             }
         }
 
+        if (poll) {
+            newPostData.type = 'poll';
+            newPostData.poll = poll;
+        }
+
         const newPost = await Post.create(newPostData);
 
         // Populate author/community data before sending
@@ -118,13 +191,23 @@ export const createPost = async (req, res) => {
             .populate('author', 'username profileImage')
             .lean();
 
+        // Pending posts are announced when a moderator approves them
+        if (needsApproval) {
+            return res.status(202).json({
+                success: true,
+                post: presentPost(populatedPost, author),
+                pendingApproval: true,
+                message: 'Your post was submitted and will appear once a moderator approves it.'
+            });
+        }
+
         // 1. Emit Socket Event (Real-time update)
-        getIo(req).to(communityId).emit('newPost', populatedPost);
+        getIo(req).to(communityId).emit('newPost', presentPost(populatedPost));
 
         // 2. Create Notifications (Asynchronous)
         notifyCommunityMembers(newPost, communityId, req.user._id, req.user.username);
         
-        res.status(201).json({ success: true, post: populatedPost });
+        res.status(201).json({ success: true, post: presentPost(populatedPost, author) });
 
     } catch (error) {
         console.error('Error creating post:', error);
@@ -133,31 +216,50 @@ export const createPost = async (req, res) => {
 };
 
 /**
- * @desc Get all posts for a community
+ * @desc Get posts for a community, ranked by ?sort=hot|new|top|rising|controversial
+ *       (?t=hour|day|week|month|year|all for top/controversial), paged with ?cursor=
  * @route GET /api/v1/posts/community/:communityId
  * @access Private
  */
 export const getCommunityPosts = async (req, res) => {
     try {
         const { communityId } = req.params;
-        const { page = 1, limit = 20 } = req.query;
 
-        const posts = await Post.find({ community: communityId, isDeleted: false })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip((page - 1) * limit)
-            .populate('author', 'username profileImage')
-            .lean(); // Use lean for faster queries
+        const options = parseFeedOptions(req.query, { sort: 'new' });
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
+
+        // Only the caller's own membership entry is needed for the visibility rules
+        const community = await Community.findById(communityId).select({
+            isActive: 1,
+            visibility: 1,
+            isPrivate: 1,
+            bannedUsers: 1,
+            members: { $elemMatch: { user: req.user._id } }
+        });
+        if (!community || !community.isActive) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+
+        const restriction = checkDiscussionAccess(community, req.user._id);
+        if (restriction) return sendRestriction(res, restriction);
 
-        const total = await Post.countDocuments({ community: communityId, isDeleted: false });
+        const baseFilter = { community: communityId };
+        const { posts, nextCursor, hasMore } = await fetchFeedPage(baseFilter, options);
+
+        const total = await Post.countDocuments({ ...baseFilter, isDeleted: false, isApproved: true });
 
         res.status(200).json({
             success: true,
-            posts,
+            posts: posts.map(post => presentPost(post, req.user._id)),
             pagination: {
                 total,
-                page: parseInt(page),
-                pages: Math.ceil(total / limit)
+                page: options.cursor ? null : options.page,
+                pages: Math.ceil(total / options.limit),
+                sort: options.sort,
+                nextCursor,
+                hasMore
             }
         });
 
@@ -167,101 +269,402 @@ export const getCommunityPosts = async (req, res) => {
 };
 
 /**
- * @desc Toggle upvote/like on a post
+ * @desc Home feed: posts from every joined community, with the same sorts and cursor paging
+ *       as community feeds. Skips communities the user is banned from and blocked authors.
+ * @route GET /api/v1/posts/feed
+ * @access Private
+ */
+export const getHomeFeed = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const options = parseFeedOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
+
+        const user = await User.findById(userId).select('joinedCommunities blockedUsers');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const communities = await Community.find({
+            _id: { $in: user.joinedCommunities },
+            isActive: true,
+            ...Community.notBannedFilter(userId)
+        }).select('_id');
+
+        if (communities.length === 0) {
+            return res.status(200).json({
+                success: true,
+                posts: [],
+                pagination: { sort: options.sort, nextCursor: null, hasMore: false }
+            });
+        }
+
+        const baseFilter = {
+            community: { $in: communities.map(community => community._id) },
+            author: { $nin: user.blockedUsers || [] }
+        };
+
+        const { posts, nextCursor, hasMore } = await fetchFeedPage(baseFilter, options, { community: true });
+
+        res.status(200).json({
+            success: true,
+            posts: posts.map(post => presentPost(post, userId)),
+            pagination: {
+                sort: options.sort,
+                nextCursor,
+                hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching home feed:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to fetch feed.' });
+    }
+};
+
+/**
+ * @desc Vote on a post. Body: { direction: 'up' | 'down' | 'clear' }.
+ *       Without a direction the call keeps the old like-toggle behaviour (up <-> clear).
  * @route PUT /api/v1/posts/:postId/vote
  * @access Private
  */
-export const togglePostVote = async (req, res) => {
+export const votePost = async (req, res) => {
     try {
         const { postId } = req.params;
         const userId = req.user._id;
+        let { direction } = req.body || {};
+
+        if (direction !== undefined && !VOTE_DIRECTIONS.includes(direction)) {
+            return res.status(400).json({ success: false, message: "Vote direction must be 'up', 'down' or 'clear'." });
+        }
+
+        const current = await Post.findOne({ _id: postId, isDeleted: false }).select('community upvotes downvotes').lean();
+        if (!current) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+
+        // Banned and muted users can't vote
+        const restriction = await findRestriction(current.community, userId, checkParticipation);
+        if (restriction) return sendRestriction(res, restriction);
 
-        const post = await Post.findById(postId);
+        if (direction === undefined) {
+            direction = getUserVote(current, userId) === 'up' ? 'clear' : 'up';
+        }
+
+        const post = await Post.applyVote(postId, userId, direction);
         if (!post) {
             return res.status(404).json({ success: false, message: 'Post not found.' });
         }
 
-        // Use the instance method defined in the schema
-        await post.upvote(userId);
-        
-        // Populate author/community data before sending
+        // Populate author data before sending
         const populatedPost = await Post.findById(post._id)
             .populate('author', 'username profileImage')
             .lean();
 
         // Emit Socket Event (Real-time update)
-        getIo(req).to(post.community.toString()).emit('postUpdated', populatedPost);
+        getIo(req).to(post.community.toString()).emit('postUpdated', presentPost(populatedPost));
 
-        res.status(200).json({ success: true, post: populatedPost, message: 'Vote updated successfully.' });
+        res.status(200).json({
+            success: true,
+            post: presentPost(populatedPost, userId),
+            userVote: getUserVote(post, userId),
+            message: 'Vote updated successfully.'
+        });
 
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message || 'Failed to toggle vote.' });
+        res.status(500).json({ success: false, message: error.message || 'Failed to update vote.' });
     }
 };
 
-
-
 /**
- * @desc Create a new comment/reply on a post
- * @route POST /api/v1/posts/:postId/comment
+ * @desc Cast or change a poll vote. Body: { optionIds: [id] } (or { optionId }).
+ *       An empty list retracts the vote; more than one option requires allowMultipleVotes.
+ * @route PUT /api/v1/posts/:postId/poll/vote
  * @access Private
  */
-export const replyToPost = async (req, res) => {
+export const votePoll = async (req, res) => {
     try {
         const { postId } = req.params;
-        const { content } = req.body; // You can add parentCommentId for nesting later
+        const userId = req.user._id;
+        const { optionId } = req.body;
+        let { optionIds } = req.body;
 
-        const author = req.user._id;
+        if (optionIds === undefined) optionIds = optionId ? [optionId] : [];
+        if (!Array.isArray(optionIds)) optionIds = [optionIds];
+        optionIds = [...new Set(optionIds.map(id => id.toString()))];
+
+        const post = await Post.findOne({ _id: postId, isDeleted: false, type: 'poll' }).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Poll not found.' });
+        }
+
+        const restriction = await findRestriction(post.community, userId, checkParticipation);
+        if (restriction) return sendRestriction(res, restriction);
 
-        if (!content) {
-            return res.status(400).json({ success: false, message: 'Comment content is required.' });
+        if (!isPollOpen(post.poll)) {
+            return res.status(400).json({ success: false, message: 'This poll is closed.' });
         }
 
-        const post = await Post.findById(postId);
+        if (optionIds.length > 1 && !post.poll.allowMultipleVotes) {
+            return res.status(400).json({ success: false, message: 'This poll only allows a single choice.' });
+        }
+
+        const validOptionIds = new Set(post.poll.options.map(option => option._id.toString()));
+        if (optionIds.some(id => !validOptionIds.has(id))) {
+            return res.status(400).json({ success: false, message: 'One or more poll options do not exist.' });
+        }
+
+        // The filter re-checks that the poll is still open at write time
+        const updated = await Post.findOneAndUpdate(
+            { _id: post._id, isDeleted: false, ...openPollFilter() },
+            buildPollVotePipeline(userId, optionIds),
+            { new: true, updatePipeline: true }
+        ).lean();
+
+        if (!updated) {
+            return res.status(400).json({ success: false, message: 'This poll is closed.' });
+        }
+
+        // Live tally for everyone in the community room (no per-user data)
+        getIo(req).to(updated.community.toString()).emit('pollUpdated', {
+            postId: updated._id,
+            poll: tallyPoll(updated.poll)
+        });
+
+        res.status(200).json({
+            success: true,
+            poll: tallyPoll(updated.poll, { userId }),
+            message: optionIds.length ? 'Vote recorded successfully.' : 'Vote removed successfully.'
+        });
+
+    } catch (error) {
+        console.error('Error voting on poll:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to vote on poll.' });
+    }
+};
+
+// Loads a post awaiting approval that the caller may review; answers 404/403 itself and returns null
+const findPendingPost = async (req, res) => {
+    const post = await Post.findOne({ _id: req.params.postId, isDeleted: false, isApproved: false });
+    if (!post) {
+        res.status(404).json({ success: false, message: 'Pending post not found.' });
+        return null;
+    }
+
+    const community = await Community.findById(post.community)
+        .select({ name: 1, slug: 1, admin: 1, members: { $elemMatch: { user: req.user._id } } });
+    if (!community || !community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_POSTS)) {
+        res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage posts can review posts.' });
+        return null;
+    }
+
+    return { post, community };
+};
+
+/**
+ * @desc Posts waiting for approval in a community (oldest first)
+ * @route GET /api/v1/posts/community/:communityId/pending?page=&limit=
+ * @access Private (community admin or manage_posts moderator)
+ */
+export const getPendingPosts = async (req, res) => {
+    try {
+        const { communityId } = req.params;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const community = await Community.findById(communityId)
+            .select({ admin: 1, members: { $elemMatch: { user: req.user._id } } });
+        if (!community) {
+            return res.status(404).json({ success: false, message: 'Community not found.' });
+        }
+        if (!community.hasPermission(req.user._id, COMMUNITY_PERMISSIONS.MANAGE_POSTS)) {
+            return res.status(403).json({ success: false, message: 'Only the admin or moderators allowed to manage posts can review posts.' });
+        }
+
+        const filter = { community: community._id, isDeleted: false, isApproved: false };
+        const [posts, total] = await Promise.all([
+            Post.find(filter)
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('author', 'username profileImage')
+                .lean(),
+            Post.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            posts: posts.map(post => presentPost(post, req.user._id)),
+            pagination: { total, page, pages: Math.ceil(total / limit) }
+        });
+
+    } catch (error) {
+        console.error('Error fetching pending posts:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to fetch pending posts.' });
+    }
+};
+
+/**
+ * @desc Approve a pending post; it is published to the community like a new post
+ * @route PUT /api/v1/posts/:postId/approve
+ * @access Private (community admin or manage_posts moderator)
+ */
+export const approvePost = async (req, res) => {
+    try {
+        const pending = await findPendingPost(req, res);
+        if (!pending) return;
+        const { community } = pending;
+
+        // Conditional, so two reviewers can't both publish (and notify) the same post
+        const post = await Post.findOneAndUpdate(
+            { _id: pending.post._id, isDeleted: false, isApproved: false },
+            { $set: { isApproved: true } },
+            { new: true }
+        ).populate('author', 'username profileImage');
         if (!post) {
-            return res.status(404).json({ success: false, message: 'Post not found.' });
+            return res.status(409).json({ success: false, message: 'This post was already reviewed.' });
         }
 
-        const communityId = post.community;
+        const presented = presentPost(post.toObject());
+        getIo(req).to(community._id.toString()).emit('newPost', presented);
+        if (post.author) {
+            notifyCommunityMembers(post, community._id, post.author._id, post.author.username);
+            await Notification.create({
+                user: post.author._id,
+                type: 'post',
+                title: '✅ Post Approved',
+                message: `Your post in "${community.name}" was approved and is now visible.`,
+                data: { communityId: community._id, postId: post._id }
+            });
+        }
 
-        // 1. Create the new Comment
-        const newComment = await Comment.create({
-            content,
-            post: postId,
-            author,
-            community: communityId,
-            // For now, parentComment and replyToPost are the same as the main post
-            replyToPost: postId
+        res.status(200).json({ success: true, post: presented, message: 'Post approved.' });
+
+    } catch (error) {
+        console.error('Error approving post:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to approve post.' });
+    }
+};
+
+/**
+ * @desc Reject a pending post (it is removed and never published)
+ * @route PUT /api/v1/posts/:postId/reject   { reason? }
+ * @access Private (community admin or manage_posts moderator)
+ */
+export const rejectPost = async (req, res) => {
+    try {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+
+        const pending = await findPendingPost(req, res);
+        if (!pending) return;
+        const { community } = pending;
+
+        const post = await Post.findOneAndUpdate(
+            { _id: pending.post._id, isDeleted: false, isApproved: false },
+            { $set: { isDeleted: true, deletedAt: new Date() } },
+            { new: true }
+        );
+        if (!post) {
+            return res.status(409).json({ success: false, message: 'This post was already reviewed.' });
+        }
+
+        if (post.author) {
+            await Notification.create({
+                user: post.author,
+                type: 'info',
+                title: '❌ Post Not Approved',
+                message: `Your post in "${community.name}" was not approved.${reason ? ` Reason: ${reason}` : ''}`,
+                data: { communityId: community._id, postId: post._id, reason: reason || null }
+            });
+        }
+
+        res.status(200).json({ success: true, message: 'Post rejected.' });
+
+    } catch (error) {
+        console.error('Error rejecting post:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to reject post.' });
+    }
+};
+
+/**
+ * @desc Close a poll early
+ * @route PUT /api/v1/posts/:postId/poll/close
+ * @access Private (post author or community moderator)
+ */
+export const closePoll = async (req, res) => {
+    try {
+        const { postId } = req.params;
+
+        const post = await Post.findOne({ _id: postId, isDeleted: false, type: 'poll' });
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Poll not found.' });
+        }
+
+        if (!(await canModeratePost(post, req.user._id, tokenAllows(req, 'moderate')))) {
+            return res.status(403).json({ success: false, message: 'Only the author or a community moderator can close this poll.' });
+        }
+
+        if (!isPollOpen(post.poll)) {
+            return res.status(400).json({ success: false, message: 'This poll is already closed.' });
+        }
+
+        const updated = await Post.findByIdAndUpdate(
+            post._id,
+            { $set: { 'poll.closedAt': new Date() } },
+            { new: true }
+        ).lean();
+
+        getIo(req).to(updated.community.toString()).emit('pollUpdated', {
+            postId: updated._id,
+            poll: tallyPoll(updated.poll)
         });
 
-        // 2. Increment comment count on the Post
-        post.commentCount += 1;
-        await post.save();
+        res.status(200).json({
+            success: true,
+            poll: tallyPoll(updated.poll, { userId: req.user._id }),
+            message: 'Poll closed successfully.'
+        });
 
-        // 3. Populate and prepare the comment for real-time delivery
-        const populatedComment = await Comment.findById(newComment._id)
-            .populate('author', 'username profileImage')
-            .lean();
-            
-        // 4. Emit Socket Event to the community (Real-time update)
-        // You might want a dedicated 'newComment' event, but for a simple reply system,
-        // you can also update the entire post object (commentCount changed).
-        
-        const updatedPost = await Post.findById(postId)
-            .populate('author', 'username profileImage')
-            .lean();
-            
-        getIo(req).to(communityId.toString()).emit('postUpdated', updatedPost);
+    } catch (error) {
+        console.error('Error closing poll:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to close poll.' });
+    }
+};
 
-        // 5. Send success response with the new comment
-        res.status(201).json({ 
-            success: true, 
-            comment: populatedComment,
-            message: 'Comment created successfully. Post comment count updated.'
+/**
+ * @desc Get poll results. Add ?voters=true to list voters on non-anonymous polls.
+ * @route GET /api/v1/posts/:postId/poll
+ * @access Private
+ */
+export const getPollResults = async (req, res) => {
+    try {
+        const { postId } = req.params;
+        const includeVoters = req.query.voters === 'true';
+
+        let query = Post.findOne({ _id: postId, isDeleted: false, type: 'poll' });
+        if (includeVoters) {
+            query = query.populate('poll.options.votes', 'username profileImage');
+        }
+        const post = await query.lean();
+
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Poll not found.' });
+        }
+
+        const restriction = await findRestriction(post.community, req.user._id, checkDiscussionAccess);
+        if (restriction) return sendRestriction(res, restriction);
+
+        res.status(200).json({
+            success: true,
+            postId: post._id,
+            poll: tallyPoll(post.poll, { userId: req.user._id, includeVoters })
         });
 
     } catch (error) {
-        console.error('Error creating comment:', error);
-        res.status(500).json({ success: false, message: error.message || 'Failed to create comment.' });
+        console.error('Error fetching poll results:', error);
+        res.status(500).json({ success: false, message: error.message || 'Failed to fetch poll results.' });
     }
-};
\ No newline at end of file
+};
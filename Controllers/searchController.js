@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+import Community from '../Models/Community.js';
+import User from '../Models/UserModel.js';
+import { extractSearchTerms, buildHighlights } from '../Utilities/search.js';
+
+const SEARCH_TYPES = ['posts', 'comments', 'communities', 'users'];
+const POST_TYPES = ['text', 'image', 'video', 'link', 'poll'];
+
+// Per-type result count when searching everything at once
+const ALL_TYPES_LIMIT = 5;
+
+const relevance = { score: { $meta: 'textScore' } };
+
+// Private and hidden communities only show their content to members
+const PUBLIC_COMMUNITY = { visibility: { $nin: ['private', 'hidden'] }, isPrivate: { $ne: true } };
+
+// Communities the user belongs to; bounded by their own memberships, unlike the set they can't see
+const getMemberCommunityIds = async (userId) => {
+    const communities = await Community.find({ 'members.user': userId }).select('_id').lean();
+    return communities.map(community => community._id);
+};
+
+const resolveCommunityId = async (idOrSlug) => {
+    const condition = mongoose.Types.ObjectId.isValid(idOrSlug)
+        ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+        : { slug: idOrSlug };
+    const community = await Community.findOne(condition).select('_id').lean();
+    return community ? community._id : null;
+};
+
+const resolveAuthorId = async (idOrUsername) => {
+    const condition = mongoose.Types.ObjectId.isValid(idOrUsername)
+        ? { $or: [{ _id: idOrUsername }, { username: idOrUsername }] }
+        : { username: idOrUsername };
+    const user = await User.findOne(condition).select('_id').lean();
+    return user ? user._id : null;
+};
+
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Runs one typed $text query ranked by relevance and returns { items, total }
+const runTextSearch = async (Model, filter, { skip, limit, select, populate = [] }) => {
+    let query = Model.find(filter, relevance)
+        .sort(relevance)
+        .skip(skip)
+        .limit(limit)
+        .select(select);
+    populate.forEach(option => { query = query.populate(option); });
+
+    const [items, total] = await Promise.all([query.lean(), Model.countDocuments(filter)]);
+    return { items, total };
+};
+
+/**
+ * $text search over posts or comments that only keeps content the user may see: content in
+ * public communities or in communities they are a member of. With `livePostsOnly`, comments
+ * whose post has been deleted are dropped too. Aggregation filters are not cast, so `filter`
+ * must already hold ObjectIds and Dates.
+ */
+const runContentSearch = async (Model, filter, { skip, limit, select, populate = [], memberIds, livePostsOnly = false }) => {
+    const project = Object.fromEntries(select.split(' ').map(field => [field, 1]));
+
+    const pipeline = [
+        { $match: filter },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        {
+            $lookup: {
+                from: Community.collection.name,
+                localField: 'community',
+                foreignField: '_id',
+                as: 'communityAccess',
+                pipeline: [{ $project: { visibility: 1, isPrivate: 1 } }]
+            }
+        },
+        { $match: { $or: [{ community: { $in: memberIds } }, { communityAccess: { $elemMatch: PUBLIC_COMMUNITY } }] } }
+    ];
+
+    if (livePostsOnly) {
+        pipeline.push(
+            {
+                $lookup: {
+                    from: Post.collection.name,
+                    localField: 'post',
+                    foreignField: '_id',
+                    as: 'livePost',
+                    pipeline: [{ $match: { isDeleted: false } }, { $project: { _id: 1 } }]
+                }
+            },
+            { $match: { 'livePost.0': { $exists: true } } }
+        );
+    }
+
+    pipeline.push({
+        $facet: {
+            items: [{ $sort: { score: -1 } }, { $skip: skip }, { $limit: limit }, { $project: { ...project, score: 1 } }],
+            total: [{ $count: 'count' }]
+        }
+    });
+
+    const [{ items, total }] = await Model.aggregate(pipeline);
+    await Model.populate(items, populate);
+
+    return { items, total: total.length > 0 ? total[0].count : 0 };
+};
+
+/**
+ * @desc Full-text search across posts, comments, communities and users
+ * @route GET /api/v1/search?q=&type=all|posts|comments|communities|users
+ *        &community=&author=&tag=&from=&to=&postType=&page=&limit=
+ * @access Private
+ */
+export const search = async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        const type = req.query.type || 'all';
+        const userId = req.user._id;
+
+        if (q.length < 2) {
+            return res.status(400).json({ success: false, message: 'Search query must be at least 2 characters.' });
+        }
+        if (type !== 'all' && !SEARCH_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Invalid type. Use one of: all, ${SEARCH_TYPES.join(', ')}.` });
+        }
+        if (req.query.postType && !POST_TYPES.includes(req.query.postType)) {
+            return res.status(400).json({ success: false, message: `Invalid post type. Use one of: ${POST_TYPES.join(', ')}.` });
+        }
+
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ success: false, message: 'Invalid date range.' });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = type === 'all' ? ALL_TYPES_LIMIT : Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const paging = { skip: (page - 1) * limit, limit };
+        const types = type === 'all' ? SEARCH_TYPES : [type];
+        const terms = extractSearchTerms(q);
+
+        // Shared filters for posts and comments; runContentSearch applies the visibility rules
+        const contentFilter = { isDeleted: false, community: { $exists: true } };
+        const memberIds = await getMemberCommunityIds(userId);
+
+        if (req.query.community) {
+            const communityId = await resolveCommunityId(req.query.community);
+            contentFilter.community = communityId || { $in: [] };
+        }
+        if (req.query.author) {
+            const authorId = await resolveAuthorId(req.query.author);
+            contentFilter.author = authorId || { $in: [] };
+        }
+        if (from || to) {
+            contentFilter.createdAt = {};
+            if (from) contentFilter.createdAt.$gte = from;
+            if (to) contentFilter.createdAt.$lte = to;
+        }
+
+        const results = {};
+
+        if (types.includes('posts')) {
+            const filter = { $text: { $search: q }, ...contentFilter, isApproved: true };
+            if (req.query.tag) filter.tags = req.query.tag;
+            if (req.query.postType) filter.type = req.query.postType;
+
+            const { items, total } = await runContentSearch(Post, filter, {
+                ...paging,
+                memberIds,
+                select: 'content tags type author community voteCount commentCount createdAt',
+                populate: [
+                    { path: 'author', select: 'username profileImage' },
+                    { path: 'community', select: 'name slug icon' }
+                ]
+            });
+            results.posts = {
+                total,
+                items: items.map(item => ({ type: 'post', ...item, highlights: buildHighlights(item, ['content', 'tags'], terms) }))
+            };
+        }
+
+        if (types.includes('comments')) {
+            const filter = { $text: { $search: q }, ...contentFilter };
+
+            const { items, total } = await runContentSearch(Comment, filter, {
+                ...paging,
+                memberIds,
+                livePostsOnly: true,
+                select: 'content author post community parentComment voteCount createdAt',
+                populate: [
+                    { path: 'author', select: 'username profileImage' },
+                    { path: 'community', select: 'name slug icon' }
+                ]
+            });
+            results.comments = {
+                total,
+                items: items.map(item => ({ type: 'comment', ...item, highlights: buildHighlights(item, ['content'], terms) }))
+            };
+        }
+
+        if (types.includes('communities')) {
+            // Hidden communities are only discoverable by their members
+            const filter = {
+                $text: { $search: q },
+                isActive: true,
+                $or: [{ visibility: { $ne: 'hidden' } }, { 'members.user': userId }]
+            };
+            if (req.query.tag) filter.tags = req.query.tag;
+
+            const { items, total } = await runTextSearch(Community, filter, {
+                ...paging,
+                select: 'name slug description tags categories icon coverImage visibility memberCount'
+            });
+            results.communities = {
+                total,
+                items: items.map(item => ({ type: 'community', ...item, highlights: buildHighlights(item, ['name', 'description', 'tags'], terms) }))
+            };
+        }
+
+        if (types.includes('users')) {
+            const filter = { $text: { $search: q }, isActive: true };
+
+            const { items, total } = await runTextSearch(User, filter, {
+                ...paging,
+                select: 'username bio profileImage createdAt'
+            });
+            results.users = {
+                total,
+                items: items.map(item => ({ type: 'user', ...item, highlights: buildHighlights(item, ['username', 'bio'], terms) }))
+            };
+        }
+
+        res.status(200).json({
+            success: true,
+            query: q,
+            type,
+            page,
+            limit,
+            results
+        });
+
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ success: false, message: error.message || 'Search failed.' });
+    }
+};
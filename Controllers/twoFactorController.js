@@ -0,0 +1,159 @@
+import User from '../Models/UserModel.js';
+import Notification from '../Models/Notification.js';
+import { generateSecret, buildOtpAuthUri, verifyTOTP } from '../Utilities/totp.js';
+import { encryptSecret, decryptSecret } from '../Utilities/secretBox.js';
+import { generateRecoveryCodes, verifySecondFactor, consumeTotpCode } from '../Utilities/twoFactor.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Discussify';
+
+// --- Start 2FA Enrollment (returns the provisioning URI for the QR code) ---
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor && user.twoFactor.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Confirm Enrollment (first valid code turns 2FA on) ---
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code)
+      return res.status(400).json({ success: false, message: 'Please provide the code from your authenticator app' });
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+
+    if (!user.twoFactor.pendingSecret)
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+
+    const step = verifyTOTP(code, decryptSecret(user.twoFactor.pendingSecret));
+    if (step === null)
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await Notification.create({
+      user: user._id,
+      type: 'info',
+      title: '🛡️ Two-Factor Enabled',
+      message: 'Two-factor authentication is now protecting your account.',
+      data: { enabledAt: user.twoFactor.enabledAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Disable 2FA (requires password and a code or recovery code) ---
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode))
+      return res.status(400).json({ success: false, message: 'Please provide your password and a code or recovery code' });
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.twoFactor || !user.twoFactor.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+
+    if (!(await user.comparePassword(password)))
+      return res.status(401).json({ success: false, message: 'Incorrect password' });
+
+    const { valid } = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!valid)
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+
+    await Notification.create({
+      user: user._id,
+      type: 'warning',
+      title: '⚠️ Two-Factor Disabled',
+      message: 'Two-factor authentication was turned off for your account.',
+      data: { disabledAt: new Date() }
+    });
+
+    res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// --- Regenerate Recovery Codes (invalidates the old ones) ---
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code)
+      return res.status(400).json({ success: false, message: 'Please provide the code from your authenticator app' });
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+    if (!user.twoFactor || !user.twoFactor.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+
+    if (!(await consumeTotpCode(user._id, user.twoFactor.secret, code)))
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
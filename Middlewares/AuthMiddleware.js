@@ -1,10 +1,45 @@
 import jwt from 'jsonwebtoken';
 import User from '../Models/UserModel.js';
+import ApiToken from '../Models/ApiToken.js';
+import { hasPermission } from '../Utilities/permissions.js';
+import { isSessionActive } from '../Utilities/sessions.js';
+import { isApiToken, hashApiToken, tokenAllows, tokenAllowsCommunity, shouldRecordUse } from '../Utilities/apiTokens.js';
+import { discardRequestUploads } from '../Utilities/uploads.js';
 
-// --- CONSTANT FOR HARDCODED ADMIN CHECK ---
-// Must match the ID used in the login controller
-const MOCK_ADMIN_ID = '60c92699f06a92001c10d321';
-const MOCK_ADMIN_EMAIL = 'admin@discussify.com';
+// Personal API token authentication; sets req.user and req.apiToken
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findOne({
+    tokenHash: hashApiToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API token'
+    });
+  }
+
+  req.user = await User.findById(apiToken.user).select('-password');
+
+  if (!req.user || !req.user.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  if (shouldRecordUse(apiToken)) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+  }
+
+  req.apiToken = apiToken;
+  next();
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -22,25 +57,25 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (isApiToken(token)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('✅ Token verified:', decoded);
 
-    // --- NEW LOGIC: HANDLE HARDCODED ADMIN USER ---
-    if (decoded.id === MOCK_ADMIN_ID) {
-        req.user = {
-            _id: MOCK_ADMIN_ID,
-            username: 'DiscussifyAdmin',
-            email: MOCK_ADMIN_EMAIL,
-            role: 'admin',
-            isActive: true, // Always active for mock admin
-            // Include other necessary fields to match the database schema expectations
-        };
-    } else {
-        // --- NORMAL DATABASE USER LOOKUP ---
-        // Get user from token
-        req.user = await User.findById(decoded.id).select('-password');
+    // Access tokens are only valid while their session is (logout, reset, revocation)
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please log in again'
+      });
     }
+    req.sessionId = decoded.sid;
+
+    // Get user from token
+    req.user = await User.findById(decoded.id).select('-password');
 
     if (!req.user) {
       return res.status(401).json({
@@ -49,7 +84,6 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // This check applies to both real users and the mock admin (who is set to true)
     if (!req.user.isActive) {
       return res.status(403).json({
         success: false,
@@ -81,17 +115,91 @@ const protect = async (req, res, next) => {
   }
 };
 
+// For public routes that show more to signed-in users: authenticates when credentials are sent,
+// otherwise continues anonymously with req.user unset
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return protect(req, res, next);
+};
+
 // Role-based authorization (No change needed here, as it relies on req.user.role)
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        message: `Role ${req.user.role || 'unknown'} is not authorized to access this route`
+        message: `Role ${(req.user && req.user.role) || 'unknown'} is not authorized to access this route`
       });
     }
     next();
   };
 };
 
-export { protect, authorize };
\ No newline at end of file
+// Permission-based authorization: the user's role must grant every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const role = req.user && req.user.role;
+    const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+    if (!req.user || missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Role ${role || 'unknown'} lacks permission: ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+};
+
+// Account and admin routes need a real login; API tokens are refused there
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this route, please log in'
+    });
+  }
+  next();
+};
+
+/**
+ * Scope check for API tokens (sessions pass straight through).
+ * @param {'read'|'post'|'moderate'} scope - Scope the route needs.
+ * @param {Function} [resolveCommunity] - (req) => community id, from Utilities/communityResolvers.js.
+ *   Tokens limited to certain communities are refused on routes without one.
+ */
+const requireScope = (scope, resolveCommunity = null) => {
+  return async (req, res, next) => {
+    if (!req.apiToken) return next();
+
+    try {
+      if (!tokenAllows(req, scope)) {
+        await discardRequestUploads(req);
+        return res.status(403).json({
+          success: false,
+          message: `This API token lacks the "${scope}" scope`
+        });
+      }
+
+      if (req.apiToken.communities.length > 0) {
+        const communityId = resolveCommunity ? await resolveCommunity(req) : null;
+        if (!tokenAllowsCommunity(req, communityId)) {
+          await discardRequestUploads(req);
+          return res.status(403).json({
+            success: false,
+            message: 'This API token is not allowed to act in this community'
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error in authorization'
+      });
+    }
+  };
+};
+
+export { protect, optionalAuth, authorize, requirePermission, requireSession, requireScope };
\ No newline at end of file
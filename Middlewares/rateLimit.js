@@ -0,0 +1,53 @@
+import { getStore } from '../Utilities/rateLimitStore.js';
+
+// Key helpers for rateLimit({ keyGenerator })
+export const byIp = (req) => req.ip;
+
+// Limits one address per client, so a single attacker can't spray one inbox
+export const byIpAndEmail = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return `${req.ip}:${email}`;
+};
+
+/**
+ * Fixed-window rate limiter backed by the configured rate-limit store.
+ * @param {Object} options
+ * @param {string} options.name - Namespace for the counters (one per limited route).
+ * @param {number} options.windowMs - Window length.
+ * @param {number} options.max - Requests allowed per key per window.
+ * @param {Function} [options.keyGenerator] - (req) => key; defaults to the client IP.
+ * @param {string} [options.message] - Body message for 429 responses.
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = 'Too many requests, please try again later.'
+}) => {
+  return async (req, res, next) => {
+    let hit;
+    try {
+      hit = await getStore().increment(`rl:${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      // A broken store shouldn't take the auth routes down with it
+      console.error('Rate limit store error:', error.message);
+      return next();
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil((hit.expiresAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(retryAfterSeconds)
+    });
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ success: false, message, retryAfter: retryAfterSeconds });
+    }
+
+    next();
+  };
+};
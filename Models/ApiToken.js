@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { API_TOKEN_SCOPES } from '../Utilities/apiTokens.js';
+
+// A named personal access token for bots and integrations. Only a hash of the
+// secret is stored; `prefix` is the first few characters, to tell tokens apart.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_TOKEN_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // When non-empty, the token only works inside these communities
+  communities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('ApiToken', apiTokenSchema);
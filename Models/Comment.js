@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { buildVotePipeline } from '../Utilities/votes.js';
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -9,13 +10,22 @@ const commentSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Cleared when the author's account is deleted (see isAnonymized)
+    required: function() { return !this.isAnonymized; }
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false
   },
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
     required: true
   },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
@@ -112,10 +122,30 @@ commentSchema.methods.softDelete = async function() {
   await this.save();
 };
 
+// Atomically record a vote ('up', 'down' or 'clear') and return the updated comment
+commentSchema.statics.applyVote = function(commentId, userId, direction) {
+  return this.findOneAndUpdate(
+    { _id: commentId, isDeleted: false },
+    buildVotePipeline(userId, direction),
+    { new: true, updatePipeline: true }
+  );
+};
+
+// Removes every vote a user cast on comments, e.g. when their account is deleted
+commentSchema.statics.clearVotesBy = function(userId) {
+  return this.updateMany(
+    { $or: [{ upvotes: userId }, { downvotes: userId }] },
+    buildVotePipeline(userId, 'clear'),
+    { updatePipeline: true }
+  );
+};
+
 // Indexes
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
-commentSchema.index({ parentComment: 1 });
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+commentSchema.index({ post: 1, parentComment: 1, createdAt: -1 });
 commentSchema.index({ isDeleted: 1 });
+commentSchema.index({ content: 'text' }, { name: 'comment_text' });
 
 export default mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
 
 const communitySchema = new mongoose.Schema({
   name: {
@@ -57,15 +57,13 @@ const communitySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // The owner; always mirrors the member whose role is 'admin' (see assignOwner)
   admin: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  moderators: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // members[].role is the single source of truth for community roles
   members: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -79,8 +77,22 @@ const communitySchema = new mongoose.Schema({
       type: String,
       enum: ['member', 'moderator', 'admin'],
       default: 'member'
-    }
+    },
+    // Only meaningful for moderators; the admin implicitly has every permission
+    permissions: [{
+      type: String,
+      enum: Object.values(COMMUNITY_PERMISSIONS)
+    }]
   }],
+  // Admin handover waiting for the new owner to accept
+  ownershipTransfer: {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
   memberCount: {
     type: Number,
     default: 0
@@ -126,6 +138,7 @@ const communitySchema = new mongoose.Schema({
     enum: ['public', 'private', 'hidden'],
     default: 'public'
   },
+  // Banned users lose their membership and can't read, join or take part until the ban ends
   bannedUsers: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -135,7 +148,36 @@ const communitySchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    reason: String
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    // null for a permanent ban
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Muted users can still read, but not post or comment, until the mute ends
+  mutedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mutedAt: {
+      type: Date,
+      default: Date.now
+    },
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    expiresAt: {
+      type: Date,
+      required: true
+    }
   }]
 }, {
   timestamps: true
@@ -162,9 +204,27 @@ communitySchema.methods.isAdmin = function(userId) {
   return this.admin.toString() === userId.toString();
 };
 
-// Check if user is moderator
+// Membership entry of a user, or undefined
+communitySchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user && member.user.toString() === userId.toString());
+};
+
+// 'admin', 'moderator', 'member' or null for non-members
+communitySchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Check if user is moderator (the admin is not counted as one)
 communitySchema.methods.isModerator = function(userId) {
-  return this.moderators.some(mod => mod.toString() === userId.toString());
+  return this.getRole(userId) === 'moderator';
+};
+
+// Whether a user may do something in this community: the admin always, moderators per their permissions
+communitySchema.methods.hasPermission = function(userId, permission) {
+  if (this.isAdmin(userId)) return true;
+  const member = this.getMember(userId);
+  return Boolean(member && member.role === 'moderator' && member.permissions.includes(permission));
 };
 
 // Check if user is member
@@ -172,9 +232,159 @@ communitySchema.methods.isMember = function(userId) {
   return this.members.some(member => member.user.toString() === userId.toString());
 };
 
+/**
+ * Makes a member the owner. The previous admin stays on as a moderator with every
+ * permission; any pending transfer is cleared. The caller saves the document.
+ */
+communitySchema.methods.assignOwner = function(userId) {
+  const newOwner = this.getMember(userId);
+  if (!newOwner) {
+    throw new Error('The new owner must be a member of the community');
+  }
+
+  const previousOwner = this.getMember(this.admin);
+  if (previousOwner && !previousOwner.user.equals(newOwner.user)) {
+    previousOwner.role = 'moderator';
+    previousOwner.permissions = Object.values(COMMUNITY_PERMISSIONS);
+  }
+
+  newOwner.role = 'admin';
+  newOwner.permissions = [];
+  this.admin = newOwner.user;
+  this.ownershipTransfer = undefined;
+};
+
+/**
+ * Hands ownership from the current admin to one of the members in a single conditional update.
+ * Roles are matched by members.user (arrayFilters), not by array position, so joins and leaves
+ * that land in between can't shift the change onto the wrong member. `conditions` narrows the
+ * match further, e.g. to a still-pending transfer.
+ * @returns {Promise<boolean>} Whether ownership changed (false if the admin or the new owner's membership changed meanwhile).
+ */
+communitySchema.statics.transferOwnership = async function(communityId, fromUserId, toUserId, conditions = {}) {
+  const result = await this.updateOne(
+    {
+      _id: communityId,
+      admin: fromUserId,
+      'members.user': toUserId,
+      ...conditions
+    },
+    {
+      $set: {
+        admin: toUserId,
+        'members.$[newOwner].role': 'admin',
+        'members.$[newOwner].permissions': [],
+        'members.$[previousOwner].role': 'moderator',
+        'members.$[previousOwner].permissions': Object.values(COMMUNITY_PERMISSIONS)
+      },
+      $unset: { ownershipTransfer: 1 }
+    },
+    {
+      arrayFilters: [{ 'newOwner.user': toUserId }, { 'previousOwner.user': fromUserId }]
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Bans and mutes end on their own: an entry past its expiresAt no longer counts
+const isInEffect = (entry, now) => !entry.expiresAt || entry.expiresAt > now;
+
+// The user's ban entry while it is in effect, or undefined
+communitySchema.methods.getActiveBan = function(userId, now = new Date()) {
+  return this.bannedUsers.find(banned =>
+    banned.user && banned.user.toString() === userId.toString() && isInEffect(banned, now));
+};
+
+// The user's mute entry while it is in effect, or undefined
+communitySchema.methods.getActiveMute = function(userId, now = new Date()) {
+  return this.mutedUsers.find(muted =>
+    muted.user && muted.user.toString() === userId.toString() && isInEffect(muted, now));
+};
+
 // Check if user is banned
 communitySchema.methods.isBanned = function(userId) {
-  return this.bannedUsers.some(banned => banned.user.toString() === userId.toString());
+  return Boolean(this.getActiveBan(userId));
+};
+
+// Check if user is muted
+communitySchema.methods.isMuted = function(userId) {
+  return Boolean(this.getActiveMute(userId));
+};
+
+// Query condition for communities where the user is not currently banned
+communitySchema.statics.notBannedFilter = function(userId, now = new Date()) {
+  return {
+    bannedUsers: {
+      $not: { $elemMatch: { user: userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } }
+    }
+  };
+};
+
+// Drops ban and mute entries that have run out (housekeeping; checks already ignore them)
+communitySchema.statics.clearExpiredRestrictions = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { $or: [{ 'bannedUsers.expiresAt': { $lte: now } }, { 'mutedUsers.expiresAt': { $lte: now } }] },
+    { $pull: { bannedUsers: { expiresAt: { $lte: now } }, mutedUsers: { expiresAt: { $lte: now } } } }
+  );
+  return result.modifiedCount;
+};
+
+// Update pipelines are not cast by Mongoose, so ids must already be ObjectIds
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Pipeline expression: the array field without the user's entries
+const withoutUser = (field, userId) => ({
+  $filter: { input: { $ifNull: [`$${field}`, []] }, cond: { $ne: ['$$this.user', userId] } }
+});
+
+/**
+ * Bans a user in one atomic update: their earlier ban or mute entry is replaced, their membership
+ * is removed (memberCount recomputed from the array) and a pending ownership handover to them is
+ * dropped. The admin can never match, even if ownership changed since the caller checked.
+ * @param {{ user, bannedBy, reason?, expiresAt }} ban
+ * @returns {Promise<{ applied: boolean, wasMember: boolean }>}
+ */
+communitySchema.statics.applyBan = async function(communityId, { user, bannedBy, reason, expiresAt }) {
+  const userId = toObjectId(user);
+  const entry = { _id: new mongoose.Types.ObjectId(), user: userId, bannedAt: new Date(), bannedBy: toObjectId(bannedBy), expiresAt };
+  if (reason) entry.reason = reason;
+
+  const before = await this.findOneAndUpdate(
+    { _id: communityId, admin: { $ne: userId } },
+    [
+      {
+        $set: {
+          // $literal keeps a reason starting with "$" from being read as a field path
+          bannedUsers: { $concatArrays: [withoutUser('bannedUsers', userId), [{ $literal: entry }]] },
+          mutedUsers: withoutUser('mutedUsers', userId),
+          members: withoutUser('members', userId),
+          ownershipTransfer: { $cond: [{ $eq: ['$ownershipTransfer.to', userId] }, '$$REMOVE', '$ownershipTransfer'] }
+        }
+      },
+      { $set: { memberCount: { $size: '$members' } } }
+    ],
+    { updatePipeline: true }
+  ).select({ members: { $elemMatch: { user: userId } } });
+
+  return { applied: Boolean(before), wasMember: Boolean(before && before.members && before.members.length > 0) };
+};
+
+/**
+ * Mutes a user in one atomic update, replacing any earlier mute entry.
+ * @param {{ user, mutedBy, reason?, expiresAt }} mute
+ * @returns {Promise<boolean>} Whether the community was updated.
+ */
+communitySchema.statics.applyMute = async function(communityId, { user, mutedBy, reason, expiresAt }) {
+  const userId = toObjectId(user);
+  const entry = { _id: new mongoose.Types.ObjectId(), user: userId, mutedAt: new Date(), mutedBy: toObjectId(mutedBy), expiresAt };
+  if (reason) entry.reason = reason;
+
+  const result = await this.updateOne(
+    { _id: communityId, admin: { $ne: userId } },
+    [{ $set: { mutedUsers: { $concatArrays: [withoutUser('mutedUsers', userId), [{ $literal: entry }]] } } }],
+    { updatePipeline: true }
+  );
+  return result.matchedCount > 0;
 };
 
 // Add member
@@ -192,6 +402,10 @@ communitySchema.methods.removeMember = async function(userId) {
   this.members = this.members.filter(
     member => member.user.toString() !== userId.toString()
   );
+  // A pending handover to someone who left can no longer complete
+  if (this.ownershipTransfer && this.ownershipTransfer.to && this.ownershipTransfer.to.toString() === userId.toString()) {
+    this.ownershipTransfer = undefined;
+  }
   await this.updateMemberCount();
 };
 
@@ -201,6 +415,13 @@ communitySchema.index({ slug: 1 });
 communitySchema.index({ categories: 1 });
 communitySchema.index({ isActive: 1, visibility: 1 });
 communitySchema.index({ 'members.user': 1 });
+communitySchema.index({ 'ownershipTransfer.to': 1 }, { sparse: true });
+communitySchema.index({ 'bannedUsers.expiresAt': 1 }, { sparse: true });
+communitySchema.index({ 'mutedUsers.expiresAt': 1 }, { sparse: true });
+communitySchema.index(
+  { name: 'text', description: 'text', tags: 'text' },
+  { name: 'community_text', weights: { name: 5, tags: 3, description: 1 } }
+);
 
 // 💡 THE FIX: Check if the model already exists before compiling it.
 const Community = mongoose.models.Community || mongoose.model('Community', communitySchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// A personal invitation to a community, sent by its admin or a moderator with the
+// manage_invites permission. People without an account are invited by email and can
+// accept once they have signed up with (and verified) that address.
+const invitationSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null while the invited address has no account
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One open invitation per address and community
+invitationSchema.index(
+  { community: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ invitee: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Pending invitations past their expiry no longer count; they show as 'expired'
+invitationSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+invitationSchema.methods.displayStatus = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt <= now ? 'expired' : this.status;
+};
+
+// Invitations addressed to a user, by account or by their verified email address
+invitationSchema.statics.addressedTo = function(user) {
+  const conditions = [{ invitee: user._id }];
+  if (user.isEmailVerified) conditions.push({ email: user.email.toLowerCase() });
+  return { $or: conditions };
+};
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Shareable invite link for a community. Anyone with the link can join, private
+// communities included, until it expires, runs out of uses or is revoked.
+// Only a hash of the token is stored; the link is shown once, when it is created.
+const inviteLinkSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so moderators can tell links apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Null for unlimited uses
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'maxUses must be at least 1']
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inviteLinkSchema.index({ community: 1, createdAt: -1 });
+
+inviteLinkSchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now && (this.maxUses === null || this.uses < this.maxUses);
+};
+
+/**
+ * Counts one use of a usable link, atomically, so the last seat can't be taken twice.
+ * @returns {Promise<Object|null>} The updated link, or null if it is no longer usable.
+ */
+inviteLinkSchema.statics.redeem = function(tokenHash, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('InviteLink', inviteLinkSchema);
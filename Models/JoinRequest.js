@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// A request to join a private community, reviewed by its admin or a moderator
+// with the manage_users permission. Resolved requests are kept as history.
+const joinRequestSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Shown to the applicant when a request is denied
+  decisionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open request per user and community
+joinRequestSchema.index(
+  { community: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+joinRequestSchema.index({ community: 1, status: 1, createdAt: 1 });
+joinRequestSchema.index({ user: 1, createdAt: -1 });
+
+// The user's open request for a community, or null
+joinRequestSchema.statics.findPending = function(communityId, userId) {
+  return this.findOne({ community: communityId, user: userId, status: 'pending' });
+};
+
+export default mongoose.model('JoinRequest', joinRequestSchema);
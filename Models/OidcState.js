@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// One in-flight OIDC authorization: ties the provider's callback to the PKCE
+// verifier and nonce created when the login (or account link) started.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking a new identity rather than logging in
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned logins are removed automatically
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OidcState', oidcStateSchema);
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { keyedHash, digestsMatch } from '../Utilities/secretBox.js';
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// A short-lived, single-use code sent to a user (email verification, password reset, email change).
+// Only a keyed hash is stored; at most one live code exists per user and purpose.
+const oneTimeTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'email_change'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oneTimeTokenSchema.index({ user: 1, purpose: 1 }, { unique: true });
+// Expired codes are removed automatically
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The hash is bound to the user and purpose, so a stored hash can't be replayed elsewhere
+const hashCode = (userId, purpose, code) => keyedHash(`${userId}:${purpose}:${code}`);
+
+/**
+ * Issues a fresh 6-digit code, replacing any earlier one for the same purpose.
+ * @returns {Promise<string>} The plaintext code, to be delivered to the user.
+ */
+oneTimeTokenSchema.statics.issue = async function(userId, purpose, ttlMs = OTP_TTL_MS) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  await this.findOneAndUpdate(
+    { user: userId, purpose },
+    { $set: { tokenHash: hashCode(userId, purpose, code), expiresAt: new Date(Date.now() + ttlMs) } },
+    { upsert: true }
+  );
+
+  return code;
+};
+
+/**
+ * Checks a code and, if it matches, deletes it in the same step.
+ * The delete is conditional on the hash just compared, so of two parallel
+ * requests with the right code only one gets `true`.
+ * @returns {Promise<boolean>}
+ */
+oneTimeTokenSchema.statics.consume = async function(userId, purpose, code) {
+  if (typeof code !== 'string' && typeof code !== 'number') return false;
+
+  const token = await this.findOne({ user: userId, purpose, expiresAt: { $gt: new Date() } })
+    .select('+tokenHash');
+  if (!token) return false;
+
+  if (!digestsMatch(hashCode(userId, purpose, String(code).trim()), token.tokenHash)) return false;
+
+  const consumed = await this.findOneAndDelete({ _id: token._id, tokenHash: token.tokenHash });
+  return Boolean(consumed);
+};
+
+// Throws away the live code for a purpose (e.g. after too many wrong guesses)
+oneTimeTokenSchema.statics.revoke = function(userId, purpose) {
+  return this.deleteOne({ user: userId, purpose });
+};
+
+export default mongoose.model('OneTimeToken', oneTimeTokenSchema);
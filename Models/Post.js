@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { buildVotePipeline } from '../Utilities/votes.js';
+import { computeRankings, initialRisingScore, buildRankingStages } from '../Utilities/ranking.js';
 
 const postSchema = new mongoose.Schema({
   content: {
@@ -9,7 +11,12 @@ const postSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Cleared when the author's account is deleted (see isAnonymized)
+    required: function() { return !this.isAnonymized; }
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false
   },
   community: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,7 +55,13 @@ const postSchema = new mongoose.Schema({
     allowMultipleVotes: {
       type: Boolean,
       default: false
-    }
+    },
+    // When true, results only expose counts, never who voted for what
+    isAnonymous: {
+      type: Boolean,
+      default: true
+    },
+    closedAt: Date
   },
   tags: [{
     type: String,
@@ -66,6 +79,18 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Stored feed scores (see Utilities/ranking.js), refreshed on every vote
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
+  risingScore: {
+    type: Number
+  },
   commentCount: {
     type: Number,
     default: 0
@@ -111,6 +136,13 @@ const postSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep stored ranking scores in sync with the votes on every save
+postSchema.pre('save', function() {
+  if (!this.createdAt) this.createdAt = new Date();
+  Object.assign(this, computeRankings(this));
+  if (this.risingScore == null) this.risingScore = initialRisingScore(this.createdAt);
+});
+
 // Calculate vote count
 postSchema.methods.updateVoteCount = function() {
   this.voteCount = this.upvotes.length - this.downvotes.length;
@@ -154,6 +186,33 @@ postSchema.methods.downvote = async function(userId) {
   await this.save();
 };
 
+// Vote update plus ranking refresh, shared by applyVote and clearVotesBy
+const voteWithRankingPipeline = (userId, direction) => [
+  { $set: { previousUpvoteCount: { $size: { $ifNull: ['$upvotes', []] } } } },
+  ...buildVotePipeline(userId, direction),
+  ...buildRankingStages('previousUpvoteCount'),
+  { $unset: 'previousUpvoteCount' }
+];
+
+// Atomically record a vote ('up', 'down' or 'clear'), refresh the ranking scores
+// and return the updated post
+postSchema.statics.applyVote = function(postId, userId, direction) {
+  return this.findOneAndUpdate(
+    { _id: postId, isDeleted: false },
+    voteWithRankingPipeline(userId, direction),
+    { new: true, updatePipeline: true }
+  );
+};
+
+// Removes every vote a user cast on posts, e.g. when their account is deleted
+postSchema.statics.clearVotesBy = function(userId) {
+  return this.updateMany(
+    { $or: [{ upvotes: userId }, { downvotes: userId }] },
+    voteWithRankingPipeline(userId, 'clear'),
+    { updatePipeline: true }
+  );
+};
+
 // Increment view count
 postSchema.methods.incrementViews = async function() {
   this.viewCount += 1;
@@ -172,6 +231,14 @@ postSchema.index({ community: 1, createdAt: -1 });
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ voteCount: -1 });
+postSchema.index({ community: 1, hotScore: -1, _id: -1 });
+postSchema.index({ community: 1, voteCount: -1, _id: -1 });
+postSchema.index({ community: 1, controversyScore: -1, _id: -1 });
+postSchema.index({ community: 1, risingScore: -1, _id: -1 });
 postSchema.index({ isDeleted: 1, isApproved: 1 });
+postSchema.index(
+  { content: 'text', tags: 'text' },
+  { name: 'post_text', weights: { tags: 3, content: 1 } }
+);
 
 export default mongoose.model('Post', postSchema);
\ No newline at end of file
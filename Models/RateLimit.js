@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One counter of the Mongo rate-limit store (see Utilities/rateLimitStore.js)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired counters are removed automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One login on one device. Access tokens carry the session id (sid) so they die
+// with the session; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token this one replaced, to detect replay of a rotated token
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import OneTimeToken from "./OneTimeToken.js";
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -21,7 +22,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an identity provider may have no password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -62,28 +64,84 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'moderator'],
     default: 'user'
   },
+  // Seeded from the environment (see Utilities/bootstrapAdmin.js); only super admins
+  // can grant or revoke the admin role, and they cannot be demoted through the API
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
   joinedCommunities: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
   }],
+  // Users whose posts are hidden from this user's home feed
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // External OpenID Connect identities that can sign in to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isEmailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerificationOTP: {
+  // Requested new address; it replaces `email` only once its OTP is confirmed
+  pendingEmail: {
     type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
     select: false
   },
-  otpExpires: {
-    type: Date,
-    select: false
+  // Opt-in TOTP second factor; the seed is encrypted and recovery codes are hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   },
-  resetPasswordToken: String, // Dedicated field for password reset OTP/Token
-  resetPasswordExpires: Date, // Dedicated field for password reset expiry
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set by DELETE /auth/me; the account is purged at scheduledFor unless the user logs in again
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
   lastLogin: {
     type: Date
   }
@@ -91,6 +149,21 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Full-text search over public profile fields
+userSchema.index(
+  { username: 'text', bio: 'text' },
+  { name: 'user_text', weights: { username: 5, bio: 1 } }
+);
+
+// Lets the purge job find accounts whose grace period is over
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
+// An identity can belong to only one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function() {
   if (!this.isModified('password')) return;
@@ -101,61 +174,32 @@ userSchema.pre('save', async function() {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP for Email Verification (Existing)
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.emailVerificationOTP = otp;
-  this.otpExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-  return otp;
-};
-
-// Verify OTP for Email Verification (Existing)
-userSchema.methods.verifyOTP = function(otp) {
-  if (!this.emailVerificationOTP || !this.otpExpires) {
-    return false;
-  }
-  
-  if (Date.now() > this.otpExpires) {
-    return false;
-  }
-  
-  return this.emailVerificationOTP === otp;
-};
-
-// --- NEW Password Reset Methods ---
+// --- One-time codes (stored hashed in OneTimeToken) ---
 
 /**
- * Generates a 6-digit numeric OTP for password reset and stores it in the dedicated fields.
- * @returns {string} The generated OTP.
+ * Issues a 6-digit code for a purpose ('email_verification', 'password_reset', 'email_change'),
+ * replacing any earlier code for that purpose.
+ * @returns {Promise<string>} The plaintext code, to be emailed to the user.
  */
-userSchema.methods.getResetPasswordOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.resetPasswordToken = otp;
-  // Set expiry to 10 minutes from now
-  this.resetPasswordExpires = Date.now() + 10 * 60 * 1000;
-  return otp;
+userSchema.methods.generateOTP = function(purpose) {
+  return OneTimeToken.issue(this._id, purpose);
 };
 
 /**
- * Verifies if the provided OTP is valid and has not expired.
- * @param {string} otp - The OTP provided by the user.
- * @returns {boolean} True if OTP is valid and not expired, otherwise false.
+ * Verifies and consumes a code. A code works at most once, even under parallel requests.
+ * @returns {Promise<boolean>} True if the code was valid and unexpired.
  */
-userSchema.methods.verifyResetPasswordOTP = function(otp) {
-  if (!this.resetPasswordToken || !this.resetPasswordExpires) {
-    return false; // No token stored
-  }
-  
-  // Check for expiry
-  if (Date.now() > this.resetPasswordExpires) {
-    return false; 
-  }
-  
-  // Check if OTP matches
-  return this.resetPasswordToken === otp;
+userSchema.methods.verifyOTP = function(purpose, otp) {
+  return OneTimeToken.consume(this._id, purpose, otp);
+};
+
+// Invalidates the live code for a purpose
+userSchema.methods.revokeOTP = function(purpose) {
+  return OneTimeToken.revoke(this._id, purpose);
 };
 
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,10 +1,54 @@
 import express from 'express';
-import { register, login, verifyEmail, resendOTP, getMe , forgotPassword , resetPassword, updateProfile } from '../Controllers/AuthController.js';
-import { protect } from '../Middlewares/AuthMiddleware.js';
+import { register, login, verifyEmail, resendOTP, getMe , forgotPassword , resetPassword, updateProfile, getBlockedUsers, blockUser, unblockUser,
+  refreshAccessToken, logout, logoutAll, getSessions, deleteSession, verifyTwoFactorLogin,
+  requestEmailChange, confirmEmailChange, cancelEmailChange, changePassword,
+  getPasswordPolicy } from '../Controllers/AuthController.js';
+import { getOidcProviders, startOidcLogin, startOidcLink, oidcCallback, oidcLinkCallback, completeOidcSignup,
+  getIdentities, unlinkIdentity } from '../Controllers/oidcController.js';
+import { exportAccountData, deleteAccount } from '../Controllers/accountController.js';
+import { getApiTokens, createApiToken, revokeApiToken } from '../Controllers/apiTokenController.js';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from '../Controllers/twoFactorController.js';
+import { protect, requireSession, requireScope } from '../Middlewares/AuthMiddleware.js';
 import { upload } from '../Middlewares/upload.js';
+import { rateLimit, byIpAndEmail } from '../Middlewares/rateLimit.js';
 
 const router = express.Router();
 
+// Account management needs a real login; API tokens can't change credentials or mint more tokens
+const session = [protect, requireSession];
+
+const MINUTE = 60 * 1000;
+
+// Per-route request budgets; credential lockouts are handled in the controllers
+const limits = {
+  register: rateLimit({ name: 'register', windowMs: 60 * MINUTE, max: 10 }),
+  login: rateLimit({ name: 'login', windowMs: 15 * MINUTE, max: 30 }),
+  verifyEmail: rateLimit({ name: 'verify-email', windowMs: 15 * MINUTE, max: 20 }),
+  sendCode: rateLimit({
+    name: 'send-code',
+    windowMs: 15 * MINUTE,
+    max: 5,
+    keyGenerator: byIpAndEmail,
+    message: 'Too many codes requested for this address, please try again later.'
+  }),
+  resetPassword: rateLimit({ name: 'reset-password', windowMs: 15 * MINUTE, max: 20 }),
+  refresh: rateLimit({ name: 'refresh', windowMs: 15 * MINUTE, max: 120 }),
+  twoFactor: rateLimit({ name: '2fa', windowMs: 15 * MINUTE, max: 20 }),
+  oidc: rateLimit({ name: 'oidc', windowMs: 15 * MINUTE, max: 30 }),
+  changeEmail: rateLimit({
+    name: 'change-email',
+    windowMs: 60 * MINUTE,
+    max: 5,
+    keyGenerator: (req) => String(req.user._id)
+  }),
+  exportData: rateLimit({
+    name: 'export',
+    windowMs: 60 * MINUTE,
+    max: 3,
+    keyGenerator: (req) => String(req.user._id)
+  })
+};
+
 // Debug middleware for this router
 router.use((req, res, next) => {
   console.log('🛣️ Auth route hit:', req.method, req.path);
@@ -13,18 +57,56 @@ router.use((req, res, next) => {
 
 // Public routes
 router.post('/register', 
+  limits.register,
   upload.single('profileImage'), 
   register
 );
 
-router.post('/login', login);
-router.post('/verify-email', verifyEmail);
-router.post('/resend-otp', resendOTP);
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password', resetPassword);
+router.post('/login', limits.login, login);
+router.post('/verify-email', limits.verifyEmail, verifyEmail);
+router.post('/resend-otp', limits.sendCode, resendOTP);
+router.post('/forgot-password', limits.sendCode, forgotPassword);
+router.post('/reset-password', limits.resetPassword, resetPassword);
+router.post('/refresh', limits.refresh, refreshAccessToken);
+router.get('/password-policy', getPasswordPolicy);
+router.post('/2fa/verify-login', limits.twoFactor, verifyTwoFactorLogin);
+
+// Social login (OpenID Connect)
+router.get('/oidc/providers', getOidcProviders);
+router.post('/oidc/signup', limits.register, completeOidcSignup);
+router.get('/oidc/:provider/authorize', limits.oidc, startOidcLogin);
+router.post('/oidc/:provider/callback', limits.oidc, oidcCallback);
 
 // Protected routes
-router.get('/me', protect, getMe);
-router.patch('/update-profile', protect, upload.single('profileImage'), updateProfile);
+router.get('/me', protect, requireScope('read'), getMe);
+router.delete('/me', session, limits.twoFactor, deleteAccount);
+router.get('/me/export', session, limits.exportData, exportAccountData);
+router.post('/logout', session, logout);
+router.post('/logout-all', session, logoutAll);
+router.get('/sessions', session, getSessions);
+router.delete('/sessions/:id', session, deleteSession);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/setup', session, setupTwoFactor);
+router.post('/2fa/enable', session, enableTwoFactor);
+router.post('/2fa/disable', session, limits.twoFactor, disableTwoFactor);
+router.post('/2fa/recovery-codes', session, limits.twoFactor, regenerateRecoveryCodes);
+router.patch('/update-profile', session, upload.single('profileImage'), updateProfile);
+router.post('/me/password', session, limits.twoFactor, changePassword);
+router.post('/me/email', session, limits.changeEmail, requestEmailChange);
+router.post('/me/email/verify', session, limits.verifyEmail, confirmEmailChange);
+router.delete('/me/email', session, cancelEmailChange);
+router.get('/me/blocked', session, getBlockedUsers);
+router.post('/me/blocked/:userId', session, blockUser);
+router.delete('/me/blocked/:userId', session, unblockUser);
+router.get('/me/identities', session, getIdentities);
+router.post('/me/identities/:provider', session, limits.oidc, startOidcLink);
+router.post('/me/identities/:provider/callback', session, limits.oidc, oidcLinkCallback);
+router.delete('/me/identities/:provider', session, unlinkIdentity);
+
+// Personal API tokens for bots and integrations
+router.get('/tokens', session, getApiTokens);
+router.post('/tokens', session, createApiToken);
+router.delete('/tokens/:id', session, revokeApiToken);
 
 export default router;
\ No newline at end of file
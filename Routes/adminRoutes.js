@@ -1,12 +1,15 @@
 // src/Routes/AdminRoutes.js
 
 import express from 'express';
-import { protect, authorize } from '../Middlewares/AuthMiddleware.js';
+import { protect, authorize, requirePermission, requireSession } from '../Middlewares/AuthMiddleware.js';
+import { PERMISSIONS } from '../Utilities/permissions.js';
 import { 
     getAppAnalytics,
     getAllCommunities,
     getAllUsers,
     updateUserDetails,
+    promoteUser,
+    demoteUser,
     getCommunityDiscussions,
     deletePost,
     editPost,
@@ -17,24 +20,28 @@ import {
 
 const router = express.Router();
 
-router.use(protect);
+// Every admin route requires platform staff; each route then checks its own permission
+// (see ROLE_PERMISSIONS in Utilities/permissions.js). Regular users get 403 everywhere.
+router.use(protect, requireSession, authorize('admin', 'moderator'));
 
 // 1. Analytics
-router.get('/analytics', getAppAnalytics);
-router.get('/activity-feed', getRecentActivityFeed);
+router.get('/analytics', requirePermission(PERMISSIONS.VIEW_ANALYTICS), getAppAnalytics);
+router.get('/activity-feed', requirePermission(PERMISSIONS.VIEW_ACTIVITY), getRecentActivityFeed);
 
 // 2. Community Management
-router.get('/communities', getAllCommunities);
-router.get('/communities/:communityId/posts', getCommunityDiscussions);
+router.get('/communities', requirePermission(PERMISSIONS.VIEW_COMMUNITIES), getAllCommunities);
+router.get('/communities/:communityId/posts', requirePermission(PERMISSIONS.VIEW_COMMUNITIES), getCommunityDiscussions);
 
 // 3. User Management
-router.get('/users', getAllUsers);
-router.patch('/users/:userId', updateUserDetails);
-
-
-router.delete('/posts/:postId', deletePost);
-router.put('/posts/:postId/edit', editPost); 
-router.put('/posts/:postId/report', reportPostByAdmin); 
-router.put('/posts/:postId/reports/resolve',  resolveReports);
+router.get('/users', requirePermission(PERMISSIONS.VIEW_USERS), getAllUsers);
+router.patch('/users/:userId', requirePermission(PERMISSIONS.MANAGE_USERS), updateUserDetails);
+router.put('/users/:userId/promote', requirePermission(PERMISSIONS.MANAGE_USERS), promoteUser);
+router.put('/users/:userId/demote', requirePermission(PERMISSIONS.MANAGE_USERS), demoteUser);
+
+// 4. Post Moderation
+router.delete('/posts/:postId', requirePermission(PERMISSIONS.MODERATE_POSTS), deletePost);
+router.put('/posts/:postId/edit', requirePermission(PERMISSIONS.MODERATE_POSTS), editPost); 
+router.put('/posts/:postId/report', requirePermission(PERMISSIONS.MODERATE_POSTS), reportPostByAdmin); 
+router.put('/posts/:postId/reports/resolve', requirePermission(PERMISSIONS.MODERATE_POSTS), resolveReports);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import express from 'express';
-import { protect } from '../Middlewares/AuthMiddleware.js'; // Assuming the provided auth middleware path
+import { protect, optionalAuth, requireScope, requireSession } from '../Middlewares/AuthMiddleware.js'; // Assuming the provided auth middleware path
+import { communityFromParam, communityFromInvitation, communityFromInviteLink } from '../Utilities/communityResolvers.js';
 import { upload } from '../Middlewares/upload.js'; // Assuming the provided upload middleware pat
 import {
     getUserCommunities,
@@ -11,11 +12,55 @@ import {
     joinCommunity, 
     inviteMember,
     getDiscoverableCommunities,
-    leaveCommunity
+    leaveCommunity,
+    updateCommunityDetails,
+    updateCommunityRules,
+    updateCommunitySettings,
+    updateCommunityIcon,
+    removeCommunityIcon,
+    updateCommunityCover,
+    removeCommunityCover
 } from '../Controllers/communityController.js'; // Assuming the controller path
+import {
+    getModerators,
+    setModerator,
+    removeModerator,
+    requestOwnershipTransfer,
+    cancelOwnershipTransfer,
+    acceptOwnershipTransfer,
+    declineOwnershipTransfer
+} from '../Controllers/moderatorController.js';
+import {
+    getBans,
+    getMutes,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser
+} from '../Controllers/communityModerationController.js';
+import {
+    getJoinRequests,
+    approveJoinRequest,
+    denyJoinRequest,
+    withdrawJoinRequest
+} from '../Controllers/joinRequestController.js';
+import {
+    getMyInvitations,
+    acceptInvitation,
+    declineInvitation,
+    getCommunityInvitations,
+    revokeInvitation,
+    createInviteLink,
+    getInviteLinks,
+    revokeInviteLink,
+    previewInviteLink,
+    joinWithInviteLink
+} from '../Controllers/invitationController.js';
 
 const communityRouter = express.Router();
 
+const inCommunity = communityFromParam('idOrSlug');
+
 // ---------------------- Public Routes ----------------------
 
 // GET /api/v1/communities/popular
@@ -23,25 +68,39 @@ const communityRouter = express.Router();
 // GET /api/v1/communities/my-communities
 
 // Get communities the currently logged-in user is a member of
-communityRouter.get('/my-communities', protect, getUserCommunities);
+communityRouter.get('/my-communities', protect, requireScope('read'), getUserCommunities);
 // GET /api/v1/communities/recommended
 // Get communities recommended based on user interests
-communityRouter.get('/recommended', protect, getRecommendedCommunities);
+communityRouter.get('/recommended', protect, requireScope('read'), getRecommendedCommunities);
 
 communityRouter.get('/popular', getPopularCommunities);
 communityRouter.get('/discover/:userId', getDiscoverableCommunities);
 
+// ---------------------- Invitations & Invite Links (the invitee's side) ----------------------
+// Registered before /:idOrSlug so "invitations" and "invite-links" aren't read as slugs
+
+// GET /api/v1/communities/invitations
+// Open invitations addressed to the logged-in user
+communityRouter.get('/invitations', protect, requireScope('read'), getMyInvitations);
+communityRouter.post('/invitations/:invitationId/accept', protect, requireScope('post', communityFromInvitation()), acceptInvitation);
+communityRouter.post('/invitations/:invitationId/decline', protect, requireScope('post', communityFromInvitation()), declineInvitation);
+
+// GET /api/v1/communities/invite-links/:token
+// Where an invite link leads; joining through it skips the join-request queue
+communityRouter.get('/invite-links/:token', previewInviteLink);
+communityRouter.post('/invite-links/:token/join', protect, requireScope('post', communityFromInviteLink()), joinWithInviteLink);
+
 // GET /api/v1/communities/:idOrSlug
-// Get detailed information about a single community
-communityRouter.get('/:idOrSlug', getCommunityInformation);
+// Get detailed information about a single community (signed-in callers also see their own standing)
+communityRouter.get('/:idOrSlug', optionalAuth, requireScope('read', inCommunity), getCommunityInformation);
 
 // GET /api/v1/communities/:idOrSlug/discussions
 // Get all discussions/posts within a community
 
-communityRouter.post('/:idOrSlug/invite', protect, inviteMember);
+communityRouter.post('/:idOrSlug/invite', protect, requireScope('moderate', inCommunity), inviteMember);
 
 // Note: Visibility/Membership check is handled inside the controller
-communityRouter.get('/:idOrSlug/discussions', protect, getAllDiscussionsInCommunity);
+communityRouter.get('/:idOrSlug/discussions', protect, requireScope('read', inCommunity), getAllDiscussionsInCommunity);
 
 
 // ---------------------- Protected Routes ----------------------
@@ -54,6 +113,7 @@ communityRouter.get('/:idOrSlug/discussions', protect, getAllDiscussionsInCommun
 communityRouter.post(
     '/create', 
     protect, 
+    requireSession,
     upload.single('coverImage'), 
     createCommunity
 );
@@ -63,14 +123,86 @@ communityRouter.post(
 communityRouter.post(
     '/:idOrSlug/join',
     protect,
+    requireScope('post', inCommunity),
     joinCommunity
 );
 
+// DELETE /api/v1/communities/:idOrSlug/join-request
+// Withdraw your pending request to join a private community
+communityRouter.delete(
+    '/:idOrSlug/join-request',
+    protect,
+    requireScope('post', inCommunity),
+    withdrawJoinRequest
+);
+
 communityRouter.post(
     '/:idOrSlug/leave',
     protect,
+    requireScope('post', inCommunity),
     leaveCommunity
 );
 
 
+// ---------------------- Community Management (admin and manage_settings moderators) ----------------------
+
+// Settings and branding need a real login, like creating the community
+const manage = [protect, requireSession];
+
+// PATCH /api/v1/communities/:idOrSlug
+// Update description, categories, tags, visibility/isPrivate
+communityRouter.patch('/:idOrSlug', manage, updateCommunityDetails);
+communityRouter.patch('/:idOrSlug/rules', manage, updateCommunityRules);
+communityRouter.patch('/:idOrSlug/settings', manage, updateCommunitySettings);
+
+// Branding images replace (and delete) the previous file
+communityRouter.patch('/:idOrSlug/icon', manage, upload.single('icon'), updateCommunityIcon);
+communityRouter.delete('/:idOrSlug/icon', manage, removeCommunityIcon);
+communityRouter.patch('/:idOrSlug/cover', manage, upload.single('coverImage'), updateCommunityCover);
+communityRouter.delete('/:idOrSlug/cover', manage, removeCommunityCover);
+
+// ---------------------- Moderator Team & Ownership ----------------------
+
+// GET /api/v1/communities/:idOrSlug/moderators
+communityRouter.get('/:idOrSlug/moderators', protect, requireScope('read', inCommunity), getModerators);
+// PUT appoints or updates permissions; DELETE demotes (or steps down when it's yourself)
+communityRouter.put('/:idOrSlug/moderators/:userId', manage, setModerator);
+communityRouter.delete('/:idOrSlug/moderators/:userId', manage, removeModerator);
+
+// The admin proposes a new owner, who then accepts or declines
+communityRouter.post('/:idOrSlug/ownership-transfer', manage, requestOwnershipTransfer);
+communityRouter.delete('/:idOrSlug/ownership-transfer', manage, cancelOwnershipTransfer);
+communityRouter.post('/:idOrSlug/ownership-transfer/accept', manage, acceptOwnershipTransfer);
+communityRouter.post('/:idOrSlug/ownership-transfer/decline', manage, declineOwnershipTransfer);
+
+// ---------------------- Bans & Mutes (admin and manage_users moderators) ----------------------
+
+const moderate = [protect, requireScope('moderate', inCommunity)];
+
+// Bans may be permanent or timed; mutes always have an expiry. Both lapse on their own.
+communityRouter.get('/:idOrSlug/bans', moderate, getBans);
+communityRouter.put('/:idOrSlug/bans/:userId', moderate, banUser);
+communityRouter.delete('/:idOrSlug/bans/:userId', moderate, unbanUser);
+communityRouter.get('/:idOrSlug/mutes', moderate, getMutes);
+communityRouter.put('/:idOrSlug/mutes/:userId', moderate, muteUser);
+communityRouter.delete('/:idOrSlug/mutes/:userId', moderate, unmuteUser);
+
+// ---------------------- Join Requests (admin and manage_users moderators) ----------------------
+
+// Private communities queue join requests; reviewers approve or deny them with a reason
+communityRouter.get('/:idOrSlug/join-requests', moderate, getJoinRequests);
+communityRouter.post('/:idOrSlug/join-requests/:requestId/approve', moderate, approveJoinRequest);
+communityRouter.post('/:idOrSlug/join-requests/:requestId/deny', moderate, denyJoinRequest);
+
+// ---------------------- Invitations & Invite Links (admin and manage_invites moderators) ----------------------
+
+// Personal invitations are sent with POST /:idOrSlug/invite; pending ones can be revoked
+communityRouter.get('/:idOrSlug/invitations', moderate, getCommunityInvitations);
+communityRouter.delete('/:idOrSlug/invitations/:invitationId', moderate, revokeInvitation);
+
+// Shareable links with an expiry and optional use limit; the URL is shown once, on creation
+communityRouter.get('/:idOrSlug/invite-links', moderate, getInviteLinks);
+communityRouter.post('/:idOrSlug/invite-links', moderate, createInviteLink);
+communityRouter.delete('/:idOrSlug/invite-links/:linkId', moderate, revokeInviteLink);
+
 export default communityRouter;
\ No newline at end of file
@@ -1,10 +1,10 @@
 import express from 'express';
 import { getNotifications , markAsRead , markAllAsRead , deleteNotification , clearAllNotifications , getUnreadCount } from '../Controllers/notificationController.js';
-import { protect } from '../Middlewares/AuthMiddleware.js';
+import { protect, requireScope } from '../Middlewares/AuthMiddleware.js';
 
-// All routes are protected
+// All routes are protected; API tokens need the "read" scope
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('read'));
 
 router.get('/', getNotifications);
 router.get('/unread-count', getUnreadCount);
@@ -1,33 +1,84 @@
 
 import express from 'express';
-import { protect } from '../Middlewares/AuthMiddleware.js' // Ensure correct path
+import { protect, requireScope } from '../Middlewares/AuthMiddleware.js' // Ensure correct path
+import { communityFromParam, communityFromBody, communityFromPost, communityFromComment } from '../Utilities/communityResolvers.js';
 import { upload } from '../Middlewares/upload.js'; // Ensure correct path
 
 import {
     createPost,
     getCommunityPosts,
-    togglePostVote ,
-    replyToPost
+    getHomeFeed,
+    votePost,
+    votePoll,
+    closePoll,
+    getPollResults,
+    getPendingPosts,
+    approvePost,
+    rejectPost
 } from '../Controllers/postController.js'; 
+import {
+    replyToPost,
+    replyToComment,
+    getPostComments,
+    getCommentReplies,
+    voteComment,
+    editComment,
+    deleteComment
+} from '../Controllers/commentController.js';
 
 const postRouter = express.Router();
 
-// All post routes require authentication
+// All post routes require authentication (a session or an API token with the route's scope)
 postRouter.use(protect);
 
+const inPost = communityFromPost();
+const inComment = communityFromComment();
+
+// GET /api/v1/posts/feed - Home feed across all joined communities
+postRouter.get('/feed', requireScope('read'), getHomeFeed);
+
 // GET /api/v1/posts/community/:communityId - Get all posts in a community
-postRouter.get('/community/:communityId', getCommunityPosts);
+postRouter.get('/community/:communityId', requireScope('read', communityFromParam('communityId')), getCommunityPosts);
 
 // POST /api/v1/posts - Create a new post (handles file upload)
 postRouter.post(
     '/',
     upload.array('file', 5) , // Use 'file' as the field name for file upload
+    requireScope('post', communityFromBody('communityId')),
     createPost
 );
 
-// PUT /api/v1/posts/:postId/vote - Toggle like/upvote
-postRouter.put('/:postId/vote', togglePostVote); 
+// Review queue for communities with requireApproval (admin and manage_posts moderators)
+postRouter.get('/community/:communityId/pending', requireScope('moderate', communityFromParam('communityId')), getPendingPosts);
+postRouter.put('/:postId/approve', requireScope('moderate', inPost), approvePost);
+postRouter.put('/:postId/reject', requireScope('moderate', inPost), rejectPost);
+
+// PUT /api/v1/posts/:postId/vote - Vote up/down/clear (toggles an upvote when no direction is sent)
+postRouter.put('/:postId/vote', requireScope('post', inPost), votePost);
+
+// Polls: results, vote/change vote (empty list retracts), close early
+postRouter.get('/:postId/poll', requireScope('read', inPost), getPollResults);
+postRouter.put('/:postId/poll/vote', requireScope('post', inPost), votePoll);
+postRouter.put('/:postId/poll/close', requireScope('post', inPost), closePoll);
+
+// POST /api/v1/posts/:postId/reply - Comment on a post (optional parentCommentId in body)
+postRouter.post('/:postId/reply', requireScope('post', inPost), replyToPost);
+
+// GET /api/v1/posts/:postId/comments - Comment tree of a post
+postRouter.get('/:postId/comments', requireScope('read', inPost), getPostComments);
+
+// GET /api/v1/posts/comments/:commentId/replies - Lazily load a deeper branch
+postRouter.get('/comments/:commentId/replies', requireScope('read', inComment), getCommentReplies);
+
+// POST /api/v1/posts/comments/:commentId/reply - Reply to a specific comment
+postRouter.post('/comments/:commentId/reply', requireScope('post', inComment), replyToComment);
+
+// PUT /api/v1/posts/comments/:commentId/vote - Upvote/downvote a comment
+postRouter.put('/comments/:commentId/vote', requireScope('post', inComment), voteComment);
 
-postRouter.post('/:postId/reply', replyToPost); 
+// PATCH/DELETE /api/v1/posts/comments/:commentId - Edit or soft-delete (author or moderator)
+// (an API token also needs the "moderate" scope to touch someone else's comment)
+postRouter.patch('/comments/:commentId', requireScope('post', inComment), editComment);
+postRouter.delete('/comments/:commentId', requireScope('post', inComment), deleteComment);
 
 export default postRouter;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { protect, requireScope } from '../Middlewares/AuthMiddleware.js';
+import { communityFromQuery } from '../Utilities/communityResolvers.js';
+import { search } from '../Controllers/searchController.js';
+
+const searchRouter = express.Router();
+
+// GET /api/v1/search?q=...&type=all|posts|comments|communities|users
+// Private/hidden community content is only returned to members
+// API tokens limited to certain communities must pass one of them as ?community=
+searchRouter.get('/', protect, requireScope('read', communityFromQuery('community')), search);
+
+export default searchRouter;
@@ -0,0 +1,184 @@
+import User from '../Models/UserModel.js';
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+import Community from '../Models/Community.js';
+import Notification from '../Models/Notification.js';
+import Session from '../Models/Session.js';
+import OneTimeToken from '../Models/OneTimeToken.js';
+import OidcState from '../Models/OidcState.js';
+import ApiToken from '../Models/ApiToken.js';
+import JoinRequest from '../Models/JoinRequest.js';
+import Invitation from '../Models/Invitation.js';
+import { removeUpload } from './uploads.js';
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Marks an account for deletion after the grace period.
+ * @returns {Promise<Date>} When the account will be purged.
+ */
+const scheduleDeletion = async (userId) => {
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await User.updateOne(
+        { _id: userId },
+        { $set: { deletion: { requestedAt: new Date(), scheduledFor } } }
+    );
+    return scheduledFor;
+};
+
+/**
+ * Withdraws a pending deletion (the user logged in during the grace period).
+ * @returns {Promise<boolean>} Whether a deletion was pending.
+ */
+const cancelDeletion = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId, 'deletion.scheduledFor': { $exists: true } },
+        { $unset: { deletion: 1 } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Longest-serving moderator first, then the longest-standing member
+const pickSuccessor = (community, userId) => {
+    const others = community.members
+        .filter(member => member.user && !member.user.equals(userId))
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+
+    return others.find(member => member.role === 'moderator')
+        || others[0]
+        || null;
+};
+
+// Hands each community the user administers to a successor, or archives it when nobody is left
+const transferOrArchiveCommunities = async (userId) => {
+    const communities = await Community.find({ admin: userId });
+    const outcome = { transferred: 0, archived: 0 };
+
+    for (const community of communities) {
+        const successor = pickSuccessor(community, userId);
+
+        if (successor) {
+            community.assignOwner(successor.user);
+            outcome.transferred += 1;
+
+            await Notification.create({
+                user: successor.user,
+                type: 'community',
+                title: `👑 You now run ${community.name}`,
+                message: `The admin of ${community.name} deleted their account, so you are its new admin.`,
+                data: { communityId: community._id, communitySlug: community.slug }
+            });
+        } else {
+            community.isActive = false;
+            outcome.archived += 1;
+        }
+
+        community.members = community.members.filter(member => !member.user || !member.user.equals(userId));
+        community.memberCount = community.members.length;
+        await community.save();
+    }
+
+    return outcome;
+};
+
+/**
+ * Permanently removes an account. Authored posts and comments stay but lose their
+ * author; votes, memberships and personal records are removed along with uploaded files.
+ * Every step is idempotent, so a purge interrupted halfway can simply run again.
+ */
+const purgeUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const communities = await transferOrArchiveCommunities(user._id);
+
+    // Remaining memberships (moderator seats included), ban and mute entries, pending handovers
+    const memberOf = await Community.distinct('_id', {
+        $or: [{ 'members.user': user._id }, { 'bannedUsers.user': user._id }, { 'mutedUsers.user': user._id }]
+    });
+    if (memberOf.length > 0) {
+        await Community.updateMany(
+            { _id: { $in: memberOf } },
+            { $pull: { members: { user: user._id }, bannedUsers: { user: user._id }, mutedUsers: { user: user._id } } }
+        );
+        await Community.updateMany(
+            { _id: { $in: memberOf } },
+            [{ $set: { memberCount: { $size: '$members' } } }],
+            { updatePipeline: true }
+        );
+    }
+    await Community.updateMany({ 'ownershipTransfer.to': user._id }, { $unset: { ownershipTransfer: 1 } });
+
+    // Uploaded media goes; the text of posts and comments stays, anonymised
+    const posts = await Post.find({ author: user._id }).select('images videoUrl').lean();
+    const uploads = posts.flatMap(post => [...(post.images || []), post.videoUrl]);
+    if (user.profileImage) uploads.push(user.profileImage);
+
+    await Post.updateMany(
+        { author: user._id },
+        { $set: { author: null, isAnonymized: true, images: [] }, $unset: { videoUrl: 1 } }
+    );
+    await Comment.updateMany({ author: user._id }, { $set: { author: null, isAnonymized: true } });
+
+    await Post.clearVotesBy(user._id);
+    await Comment.clearVotesBy(user._id);
+    await Post.updateMany({ 'poll.options.votes': user._id }, { $pull: { 'poll.options.$[].votes': user._id } });
+    await Post.updateMany({ 'reports.user': user._id }, { $pull: { reports: { user: user._id } } });
+    await Comment.updateMany({ 'reports.user': user._id }, { $pull: { reports: { user: user._id } } });
+    await User.updateMany({ blockedUsers: user._id }, { $pull: { blockedUsers: user._id } });
+
+    await Notification.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+    await OneTimeToken.deleteMany({ user: user._id });
+    await OidcState.deleteMany({ linkUser: user._id });
+    await ApiToken.deleteMany({ user: user._id });
+    await JoinRequest.deleteMany({ user: user._id });
+    await Invitation.deleteMany({ $or: [{ invitee: user._id }, { email: user.email }] });
+
+    await User.deleteOne({ _id: user._id });
+
+    // Files last: if anything above failed, the records still point at them
+    const removedFiles = (await Promise.all(uploads.map(removeUpload))).filter(Boolean).length;
+
+    return { ...communities, anonymizedPosts: posts.length, removedFiles };
+};
+
+/**
+ * Purges every account whose grace period has ended.
+ * @returns {Promise<number>} How many accounts were purged.
+ */
+const purgeDueAccounts = async (now = new Date()) => {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: now } }).select('_id');
+    let purged = 0;
+
+    for (const { _id } of due) {
+        try {
+            if (await purgeUser(_id)) purged += 1;
+        } catch (error) {
+            console.error(`Account purge failed for ${_id}:`, error.message);
+        }
+    }
+
+    return purged;
+};
+
+// Runs purgeDueAccounts hourly inside the API process
+const startAccountPurgeSchedule = (intervalMs = PURGE_INTERVAL_MS) => {
+    const run = () => purgeDueAccounts()
+        .then(count => { if (count > 0) console.log(`🗑️ Purged ${count} deleted account(s)`); })
+        .catch(error => console.error('Account purge run failed:', error.message));
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export {
+    DELETION_GRACE_DAYS,
+    scheduleDeletion,
+    cancelDeletion,
+    purgeUser,
+    purgeDueAccounts,
+    startAccountPurgeSchedule
+};
@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import archiver from 'archiver';
+import User from '../Models/UserModel.js';
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+import Community from '../Models/Community.js';
+import Notification from '../Models/Notification.js';
+import Session from '../Models/Session.js';
+import JoinRequest from '../Models/JoinRequest.js';
+import Invitation from '../Models/Invitation.js';
+import { resolveUploadPath } from './uploads.js';
+
+const EXPORT_VERSION = 1;
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
+
+// Where an uploaded file lives and how the archive lists it; missing or external files are skipped.
+// Only the metadata is read here: the contents are streamed into the ZIP one file at a time.
+const describeUpload = async (reference) => {
+    const filePath = resolveUploadPath(reference);
+    if (!filePath) return null;
+
+    try {
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) return null;
+        const filename = path.basename(filePath);
+        return {
+            filePath,
+            entry: {
+                reference,
+                path: `uploads/${filename}`,
+                mimeType: MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+                size: stats.size
+            }
+        };
+    } catch {
+        return null;
+    }
+};
+
+// Other people's ids (voters, reporters) are personal data of theirs, so only counts are exported
+const presentPost = (post) => ({
+    id: post._id,
+    community: post.community,
+    type: post.type,
+    content: post.content,
+    images: post.images,
+    videoUrl: post.videoUrl,
+    linkUrl: post.linkUrl,
+    tags: post.tags,
+    poll: post.poll && post.poll.question
+        ? {
+            question: post.poll.question,
+            options: post.poll.options.map(option => ({ text: option.text, votes: option.votes.length })),
+            expiresAt: post.poll.expiresAt
+        }
+        : undefined,
+    voteCount: post.voteCount,
+    commentCount: post.commentCount,
+    isDeleted: post.isDeleted,
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt
+});
+
+const presentComment = (comment) => ({
+    id: comment._id,
+    post: comment.post,
+    parentComment: comment.parentComment,
+    content: comment.content,
+    voteCount: comment.voteCount,
+    isDeleted: comment.isDeleted,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+});
+
+const directionFor = (doc, userId) => (doc.upvotes.some(id => id.equals(userId)) ? 'up' : 'down');
+
+/**
+ * Collects everything stored about a user: `data` is the JSON part of the archive and
+ * `uploads` the user's files (see writeAccountArchive).
+ * Secrets (password hash, 2FA seed, recovery codes, token hashes) are never included.
+ * @returns {Promise<{ data: Object, uploads: Array<{ filePath: string, entry: Object }> } | null>}
+ */
+const buildAccountExport = async (userId) => {
+    const user = await User.findById(userId)
+        .select('+pendingEmail')
+        .populate('blockedUsers', 'username')
+        .lean();
+    if (!user) return null;
+
+    const voteFilter = { $or: [{ upvotes: user._id }, { downvotes: user._id }] };
+
+    const [posts, comments, votedPosts, votedComments, pollPosts, communities, notifications, sessions, joinRequests, invitations] = await Promise.all([
+        Post.find({ author: user._id }).sort({ createdAt: -1 }).lean(),
+        Comment.find({ author: user._id }).sort({ createdAt: -1 }).lean(),
+        Post.find(voteFilter).select('upvotes downvotes').lean(),
+        Comment.find(voteFilter).select('upvotes downvotes').lean(),
+        Post.find({ 'poll.options.votes': user._id }).select('poll.question poll.options').lean(),
+        Community.find({ 'members.user': user._id }).select('name slug admin members.$').lean(),
+        Notification.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+        Session.find({ user: user._id }).select('deviceName userAgent ip lastUsedAt createdAt expiresAt revokedAt').lean(),
+        JoinRequest.find({ user: user._id }).populate('community', 'name slug').select('-reviewedBy').sort({ createdAt: -1 }).lean(),
+        Invitation.find({ $or: [{ invitee: user._id }, { email: user.email }] }).populate('community', 'name slug').sort({ createdAt: -1 })
+    ]);
+
+    const uploadReferences = [user.profileImage, ...posts.flatMap(post => [...(post.images || []), post.videoUrl])];
+    const uploads = [];
+    for (const reference of new Set(uploadReferences)) {
+        const upload = await describeUpload(reference);
+        if (upload) uploads.push(upload);
+    }
+
+    const data = {
+        exportVersion: EXPORT_VERSION,
+        exportedAt: new Date(),
+        profile: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            pendingEmail: user.pendingEmail,
+            isEmailVerified: user.isEmailVerified,
+            bio: user.bio,
+            profileImage: user.profileImage,
+            interests: user.interests,
+            role: user.role,
+            identities: user.identities,
+            twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+            deletion: user.deletion,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        },
+        blockedUsers: (user.blockedUsers || []).map(blocked => ({ id: blocked._id, username: blocked.username })),
+        communities: communities.map(community => ({
+            id: community._id,
+            name: community.name,
+            slug: community.slug,
+            role: community.members[0] && community.members[0].role,
+            permissions: (community.members[0] && community.members[0].permissions) || [],
+            joinedAt: community.members[0] && community.members[0].joinedAt,
+            isAdmin: community.admin.equals(user._id)
+        })),
+        posts: posts.map(presentPost),
+        comments: comments.map(presentComment),
+        votes: [
+            ...votedPosts.map(post => ({ targetType: 'post', target: post._id, direction: directionFor(post, user._id) })),
+            ...votedComments.map(comment => ({ targetType: 'comment', target: comment._id, direction: directionFor(comment, user._id) }))
+        ],
+        pollVotes: pollPosts.map(post => ({
+            post: post._id,
+            question: post.poll.question,
+            options: post.poll.options
+                .filter(option => option.votes.some(id => id.equals(user._id)))
+                .map(option => option.text)
+        })),
+        notifications,
+        sessions,
+        joinRequests: joinRequests.map(request => ({
+            community: request.community && { id: request.community._id, name: request.community.name, slug: request.community.slug },
+            message: request.message,
+            status: request.status,
+            decisionReason: request.decisionReason,
+            createdAt: request.createdAt,
+            reviewedAt: request.reviewedAt
+        })),
+        invitations: invitations.map(invitation => ({
+            community: invitation.community && { id: invitation.community._id, name: invitation.community.name, slug: invitation.community.slug },
+            email: invitation.email,
+            status: invitation.displayStatus(),
+            createdAt: invitation.createdAt,
+            expiresAt: invitation.expiresAt,
+            respondedAt: invitation.respondedAt
+        })),
+        files: uploads.map(upload => upload.entry)
+    };
+
+    return { data, uploads };
+};
+
+/**
+ * Streams the export as a ZIP: account.json plus every upload under uploads/. Files are read
+ * one at a time as the archive is written, so memory use doesn't grow with the account's media.
+ * @param {{ data: Object, uploads: Array }} accountExport - What buildAccountExport returned.
+ * @param {import('stream').Writable} output - Usually the HTTP response.
+ * @returns {Promise<void>} Resolves once the archive is complete.
+ */
+const writeAccountArchive = ({ data, uploads }, output) => new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    archive.on('error', reject);
+    // A client that goes away mid-download shouldn't keep the files open
+    output.on('close', () => archive.abort());
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'account.json' });
+    for (const { filePath, entry } of uploads) {
+        // Images and videos are already compressed
+        archive.file(filePath, { name: entry.path, store: true });
+    }
+
+    archive.finalize().then(resolve, reject);
+});
+
+export { buildAccountExport, writeAccountArchive };
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { hashSecret } from './secretBox.js';
+
+/**
+ * Personal API tokens ("dsk_..."), accepted by `protect` alongside session JWTs.
+ * Scopes:
+ *  - read:     view feeds, posts, comments, communities, search and notifications
+ *  - post:     create posts and comments, vote, join and leave communities
+ *  - moderate: act as a community moderator (remove others' content, invite, ...)
+ */
+const API_TOKEN_PREFIX = 'dsk_';
+const API_TOKEN_SCOPES = ['read', 'post', 'moderate'];
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+const DEFAULT_TOKEN_LIFETIME_DAYS = 90;
+// lastUsedAt is refreshed at most this often, so busy bots don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * New random token. The plaintext is shown to the user once; only the hash is stored.
+ * @returns {{ token: string, tokenHash: string, prefix: string }}
+ */
+const generateApiToken = () => {
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { token, tokenHash: hashSecret(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+};
+
+const hashApiToken = (token) => hashSecret(token);
+
+// Sessions (JWT logins) can do anything their user can; API tokens only what their scopes allow
+const tokenAllows = (req, scope) => !req.apiToken || req.apiToken.scopes.includes(scope);
+
+// Whether the request's API token (if any) may act inside a community
+const tokenAllowsCommunity = (req, communityId) => {
+    if (!req.apiToken || req.apiToken.communities.length === 0) return true;
+    if (!communityId) return false;
+    return req.apiToken.communities.some(id => id.toString() === communityId.toString());
+};
+
+const shouldRecordUse = (apiToken, now = Date.now()) =>
+    !apiToken.lastUsedAt || now - apiToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS;
+
+export {
+    API_TOKEN_PREFIX,
+    API_TOKEN_SCOPES,
+    MAX_TOKEN_LIFETIME_DAYS,
+    DEFAULT_TOKEN_LIFETIME_DAYS,
+    isApiToken,
+    generateApiToken,
+    hashApiToken,
+    tokenAllows,
+    tokenAllowsCommunity,
+    shouldRecordUse
+};
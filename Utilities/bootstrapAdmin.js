@@ -0,0 +1,59 @@
+import User from '../Models/UserModel.js';
+import { validatePassword } from './passwordPolicy.js';
+
+/**
+ * Creates (or upgrades) the platform super-admin from environment credentials:
+ * ADMIN_EMAIL, ADMIN_PASSWORD and optionally ADMIN_USERNAME.
+ * An existing account with that email is promoted but keeps its password, and only if the
+ * email was verified: anyone could have registered the address first. A new account's
+ * password must pass the same policy as everyone else's; a weak one is refused, not seeded.
+ * @returns {Promise<{ status: 'skipped'|'created'|'promoted'|'unchanged'|'unverified', user?: Object }>}
+ */
+const ensureSuperAdmin = async (env = process.env) => {
+    const email = env.ADMIN_EMAIL && env.ADMIN_EMAIL.toLowerCase().trim();
+    const password = env.ADMIN_PASSWORD;
+    const username = env.ADMIN_USERNAME || 'DiscussifyAdmin';
+
+    if (!email) {
+        return { status: 'skipped' };
+    }
+
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+        if (existing.role === 'admin' && existing.isSuperAdmin) {
+            return { status: 'unchanged', user: existing };
+        }
+        if (!existing.isEmailVerified) {
+            return { status: 'unverified', user: existing };
+        }
+        existing.role = 'admin';
+        existing.isSuperAdmin = true;
+        existing.isActive = true;
+        await existing.save();
+        return { status: 'promoted', user: existing };
+    }
+
+    if (!password) {
+        throw new Error('ADMIN_PASSWORD is required to create the super admin account');
+    }
+
+    const { valid, errors } = validatePassword(password, { username, email });
+    if (!valid) {
+        throw new Error(`ADMIN_PASSWORD does not meet the password policy: ${errors.join(' ')}`);
+    }
+
+    const user = await User.create({
+        username,
+        email,
+        password,
+        bio: 'Platform administrator',
+        role: 'admin',
+        isSuperAdmin: true,
+        isEmailVerified: true
+    });
+
+    return { status: 'created', user };
+};
+
+export { ensureSuperAdmin };
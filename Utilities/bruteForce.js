@@ -0,0 +1,147 @@
+import { getStore } from './rateLimitStore.js';
+
+/**
+ * Failed-attempt tracking for credentials that can be guessed: passwords, login 2FA codes and OTPs.
+ * Counters live in the rate-limit store, so they follow RATE_LIMIT_STORE (memory or mongo).
+ */
+
+const MINUTE = 60 * 1000;
+
+const LOGIN_POLICY = {
+    // Failures tolerated per account / per IP inside the window before a lockout starts
+    account: { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5, windowMs: 15 * MINUTE },
+    ip: { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20, windowMs: 15 * MINUTE },
+    // Each lockout within a day doubles the previous one: 1, 2, 4, ... minutes, capped at an hour
+    baseLockMs: MINUTE,
+    maxLockMs: 60 * MINUTE,
+    levelTtlMs: 24 * 60 * MINUTE
+};
+
+// Wrong codes allowed against one issued OTP before it is thrown away
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+// Longer than an OTP lives, so the count can't reset while the code is still valid
+const OTP_ATTEMPT_WINDOW_MS = 60 * MINUTE;
+// Wrong codes tolerated per account and purpose across every code issued, before verification
+// locks (with the login lockout schedule). Requesting a new code doesn't reset it; only a
+// correct code does, so reissuing codes from many IPs doesn't buy more guesses.
+const OTP_ACCOUNT_POLICY = { maxFailures: parseInt(process.env.OTP_MAX_FAILURES_PER_ACCOUNT) || 10, windowMs: 24 * 60 * MINUTE };
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const loginSubjects = ({ email, ip }) => [
+    { subject: `login:account:${normalizeEmail(email)}`, policy: LOGIN_POLICY.account },
+    { subject: `login:ip:${ip}`, policy: LOGIN_POLICY.ip }
+];
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Counts one failure for a subject and starts a (progressively longer) lockout at the threshold
+const registerFailure = async (store, subject, policy) => {
+    const failures = await store.increment(`fail:${subject}`, policy.windowMs);
+    if (failures.count < policy.maxFailures) return null;
+
+    const level = await store.increment(`lockLevel:${subject}`, LOGIN_POLICY.levelTtlMs);
+    const duration = Math.min(LOGIN_POLICY.baseLockMs * 2 ** (level.count - 1), LOGIN_POLICY.maxLockMs);
+    const lock = await store.set(`lock:${subject}`, level.count, duration);
+    await store.reset(`fail:${subject}`);
+
+    return lock;
+};
+
+/**
+ * Whether logins for this email or from this IP are currently locked out.
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>} retryAfter is in seconds.
+ */
+const getLoginLockout = async ({ email, ip }) => {
+    const store = getStore();
+    const locks = await Promise.all(
+        loginSubjects({ email, ip }).map(({ subject }) => store.get(`lock:${subject}`))
+    );
+
+    const active = locks.filter(Boolean);
+    if (active.length === 0) return { locked: false };
+
+    const latest = active.reduce((a, b) => (a.expiresAt > b.expiresAt ? a : b));
+    return { locked: true, retryAfter: secondsUntil(latest.expiresAt) };
+};
+
+/**
+ * Records a failed password or login 2FA attempt against the account and the IP.
+ * Unknown emails are counted too, so lockouts don't reveal which accounts exist.
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+    const store = getStore();
+    const locks = [];
+    for (const { subject, policy } of loginSubjects({ email, ip })) {
+        const lock = await registerFailure(store, subject, policy);
+        if (lock) locks.push(lock);
+    }
+
+    if (locks.length === 0) return { locked: false };
+    const latest = locks.reduce((a, b) => (a.expiresAt > b.expiresAt ? a : b));
+    return { locked: true, retryAfter: secondsUntil(latest.expiresAt) };
+};
+
+// A successful login forgives the account's recent failures (the IP's count is kept)
+const clearLoginFailures = async ({ email }) => {
+    const store = getStore();
+    const subject = `login:account:${normalizeEmail(email)}`;
+    await store.reset(`fail:${subject}`);
+    await store.reset(`lockLevel:${subject}`);
+};
+
+const otpSubject = (userId, purpose) => `otp:account:${purpose}:${userId}`;
+
+/**
+ * Whether OTP verification for one user and purpose is locked out.
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>} retryAfter is in seconds.
+ */
+const getOtpLockout = async (userId, purpose) => {
+    const lock = await getStore().get(`lock:${otpSubject(userId, purpose)}`);
+    return lock ? { locked: true, retryAfter: secondsUntil(lock.expiresAt) } : { locked: false };
+};
+
+/**
+ * Counts a wrong OTP for one user and purpose ('email_verification', 'password_reset', ...),
+ * against the issued code and against the account.
+ * @returns {Promise<{ attemptsLeft: number, exhausted: boolean, locked?: boolean, retryAfter?: number }>}
+ *          exhausted means the OTP must be invalidated; locked means the account's lockout started.
+ */
+const recordOtpFailure = async (userId, purpose) => {
+    const store = getStore();
+    const key = `otp:${purpose}:${userId}`;
+    const { count } = await store.increment(key, OTP_ATTEMPT_WINDOW_MS);
+    const lock = await registerFailure(store, otpSubject(userId, purpose), OTP_ACCOUNT_POLICY);
+
+    if (lock) {
+        await store.reset(key);
+        return { attemptsLeft: 0, exhausted: true, locked: true, retryAfter: secondsUntil(lock.expiresAt) };
+    }
+    if (count >= OTP_MAX_ATTEMPTS) {
+        await store.reset(key);
+        return { attemptsLeft: 0, exhausted: true };
+    }
+    return { attemptsLeft: OTP_MAX_ATTEMPTS - count, exhausted: false };
+};
+
+// Called once an OTP is used successfully; issuing a fresh code keeps the counts
+const clearOtpFailures = async (userId, purpose) => {
+    const store = getStore();
+    const subject = otpSubject(userId, purpose);
+    await store.reset(`otp:${purpose}:${userId}`);
+    await store.reset(`fail:${subject}`);
+    await store.reset(`lockLevel:${subject}`);
+};
+
+export {
+    LOGIN_POLICY,
+    OTP_MAX_ATTEMPTS,
+    OTP_ACCOUNT_POLICY,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures,
+    getOtpLockout,
+    recordOtpFailure,
+    clearOtpFailures
+};
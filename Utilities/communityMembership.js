@@ -0,0 +1,23 @@
+import User from '../Models/UserModel.js';
+import JoinRequest from '../Models/JoinRequest.js';
+
+/**
+ * Makes a user a member (a no-op when they already are) and keeps the related records in
+ * step: the user's joinedCommunities, and any pending join request, which no longer needs review.
+ * Callers check bans and visibility first.
+ * @returns {Promise<boolean>} Whether the user was newly added.
+ */
+const admitMember = async (community, userId) => {
+    const added = !community.isMember(userId);
+    if (added) await community.addMember(userId);
+
+    await User.findByIdAndUpdate(userId, { $addToSet: { joinedCommunities: community._id } });
+    await JoinRequest.updateMany(
+        { community: community._id, user: userId, status: 'pending' },
+        { $set: { status: 'approved', reviewedAt: new Date() } }
+    );
+
+    return added;
+};
+
+export { admitMember };
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import Community from '../Models/Community.js';
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+import Invitation from '../Models/Invitation.js';
+import InviteLink from '../Models/InviteLink.js';
+import { hashInviteLinkToken } from './invitations.js';
+
+/**
+ * Resolvers that work out which community a request acts in, for
+ * `requireScope(scope, resolver)`. Each takes `req` and returns a community id or null.
+ */
+
+const conditionFor = (idOrSlug) => (mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+    : { slug: idOrSlug.toLowerCase() });
+
+const idBySlugOrId = async (idOrSlug) => {
+    if (!idOrSlug || typeof idOrSlug !== 'string') return null;
+    const community = await Community.findOne(conditionFor(idOrSlug)).select('_id').lean();
+    return community ? community._id : null;
+};
+
+// The community document itself, for controllers that take :idOrSlug
+const findCommunityByIdOrSlug = async (idOrSlug) => {
+    if (!idOrSlug || typeof idOrSlug !== 'string') return null;
+    return Community.findOne(conditionFor(idOrSlug));
+};
+
+// A community id or slug in the URL, e.g. /community/:communityId or /:idOrSlug
+const communityFromParam = (name) => (req) => idBySlugOrId(req.params[name]);
+
+// A community id or slug in the body (read after multer for multipart routes)
+const communityFromBody = (name) => (req) => idBySlugOrId(req.body && req.body[name]);
+
+const communityFromQuery = (name) => (req) => idBySlugOrId(req.query[name]);
+
+// The community of the post in the URL
+const communityFromPost = (name = 'postId') => async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params[name])) return null;
+    const post = await Post.findById(req.params[name]).select('community').lean();
+    return post ? post.community : null;
+};
+
+// The community of the comment in the URL (older comments only know their post)
+const communityFromComment = (name = 'commentId') => async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params[name])) return null;
+    const comment = await Comment.findById(req.params[name]).select('community post').lean();
+    if (!comment) return null;
+    if (comment.community) return comment.community;
+    const post = await Post.findById(comment.post).select('community').lean();
+    return post ? post.community : null;
+};
+
+// The community of the invitation in the URL
+const communityFromInvitation = (name = 'invitationId') => async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params[name])) return null;
+    const invitation = await Invitation.findById(req.params[name]).select('community').lean();
+    return invitation ? invitation.community : null;
+};
+
+// The community an invite-link token in the URL leads to
+const communityFromInviteLink = (name = 'token') => async (req) => {
+    if (!req.params[name]) return null;
+    const link = await InviteLink.findOne({ tokenHash: hashInviteLinkToken(req.params[name]) }).select('community').lean();
+    return link ? link.community : null;
+};
+
+export {
+    findCommunityByIdOrSlug,
+    communityFromParam,
+    communityFromBody,
+    communityFromQuery,
+    communityFromPost,
+    communityFromComment,
+    communityFromInvitation,
+    communityFromInviteLink
+};
@@ -0,0 +1,151 @@
+import Community from '../Models/Community.js';
+
+/**
+ * Community bans and mutes: input parsing, the checks controllers share, and the
+ * hourly sweep that removes entries past their expiry.
+ */
+
+const MAX_RESTRICTION_DAYS = 365;
+const MAX_REASON_LENGTH = 500;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Reads { reason?, durationHours? | expiresAt? } from a ban or mute request.
+ * Without a duration the result has expiresAt null (allowed for bans only).
+ * @returns {{ reason?: string, expiresAt?: Date|null, error?: string }}
+ */
+const parseRestrictionInput = (body = {}, { requireExpiry = false } = {}) => {
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (reason.length > MAX_REASON_LENGTH) {
+        return { error: `Reason cannot exceed ${MAX_REASON_LENGTH} characters.` };
+    }
+
+    let expiresAt = null;
+    if (body.expiresAt !== undefined && body.expiresAt !== null) {
+        expiresAt = new Date(body.expiresAt);
+    } else if (body.durationHours !== undefined && body.durationHours !== null) {
+        const hours = Number(body.durationHours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+            return { error: 'durationHours must be a positive number.' };
+        }
+        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+        return { error: 'Expiry must be a valid date in the future.' };
+    }
+    if (expiresAt && expiresAt - Date.now() > MAX_RESTRICTION_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Expiry cannot be more than ${MAX_RESTRICTION_DAYS} days away${requireExpiry ? '' : '; omit it for a permanent ban'}.` };
+    }
+    if (!expiresAt && requireExpiry) {
+        return { error: 'Please provide durationHours or expiresAt.' };
+    }
+
+    return { reason: reason || undefined, expiresAt };
+};
+
+const until = (expiresAt) => (expiresAt ? ` until ${new Date(expiresAt).toISOString()}` : '');
+
+/**
+ * Whether a user may read the community's discussions.
+ * @returns {{ status: number, message: string, expiresAt?: Date } | null} Refusal, or null when allowed.
+ */
+const checkReadAccess = (community, userId) => {
+    const ban = community.getActiveBan(userId);
+    if (ban) {
+        return {
+            status: 403,
+            message: `You are banned from this community${until(ban.expiresAt)}.`,
+            expiresAt: ban.expiresAt
+        };
+    }
+    return null;
+};
+
+/**
+ * The gate every route that reads a community's posts or comments goes through: hidden
+ * communities don't exist for non-members, banned users are refused, and private
+ * communities are for members only. `community` needs visibility, isPrivate, bannedUsers
+ * and the caller's members entry.
+ * @returns {{ status: number, message: string, expiresAt?: Date } | null} Refusal, or null when allowed.
+ */
+const checkDiscussionAccess = (community, userId) => {
+    const isMember = community.isMember(userId);
+
+    if (community.visibility === 'hidden' && !isMember) {
+        return { status: 404, message: 'Community not found.' };
+    }
+
+    const refusal = checkReadAccess(community, userId);
+    if (refusal) return refusal;
+
+    if ((community.visibility === 'private' || community.isPrivate) && !isMember) {
+        return { status: 403, message: 'Access denied. Join the community to see discussions.' };
+    }
+    return null;
+};
+
+/**
+ * Whether a user may post or comment: banned and muted users may not.
+ * @returns {{ status: number, message: string, expiresAt?: Date } | null} Refusal, or null when allowed.
+ */
+const checkParticipation = (community, userId) => {
+    const refusal = checkReadAccess(community, userId);
+    if (refusal) return refusal;
+
+    const mute = community.getActiveMute(userId);
+    if (mute) {
+        return {
+            status: 403,
+            message: `You are muted in this community${until(mute.expiresAt)} and cannot post or comment.`,
+            expiresAt: mute.expiresAt
+        };
+    }
+    return null;
+};
+
+/**
+ * Runs `check` (checkDiscussionAccess, checkReadAccess or checkParticipation) against a community loaded by id,
+ * for routes that only know the post or comment. A missing community restricts nothing.
+ * @returns {Promise<{ status: number, message: string, expiresAt?: Date } | null>}
+ */
+const findRestriction = async (communityId, userId, check) => {
+    if (!communityId) return null;
+    const community = await Community.findById(communityId).select({
+        visibility: 1,
+        isPrivate: 1,
+        bannedUsers: 1,
+        mutedUsers: 1,
+        members: { $elemMatch: { user: userId } }
+    });
+    return community ? check(community, userId) : null;
+};
+
+// Sends a refusal from one of the checks above
+const sendRestriction = (res, refusal) => res.status(refusal.status).json({
+    success: false,
+    message: refusal.message,
+    restrictedUntil: refusal.expiresAt || null
+});
+
+// Runs Community.clearExpiredRestrictions hourly inside the API process
+const startRestrictionExpirySchedule = (intervalMs = SWEEP_INTERVAL_MS) => {
+    const run = () => Community.clearExpiredRestrictions()
+        .then(count => { if (count > 0) console.log(`⏳ Lifted expired bans/mutes in ${count} community(ies)`); })
+        .catch(error => console.error('Ban/mute expiry run failed:', error.message));
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export {
+    MAX_RESTRICTION_DAYS,
+    parseRestrictionInput,
+    checkReadAccess,
+    checkDiscussionAccess,
+    checkParticipation,
+    findRestriction,
+    sendRestriction,
+    startRestrictionExpirySchedule
+};
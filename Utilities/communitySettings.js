@@ -0,0 +1,206 @@
+/**
+ * Validation for the community management endpoints (PATCH /communities/:idOrSlug/...).
+ * Each parser returns { updates } with only the fields that were sent, or { error }.
+ */
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_RULES = 15;
+const MAX_RULE_TITLE_LENGTH = 100;
+const MAX_RULE_DESCRIPTION_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const VISIBILITIES = ['public', 'private', 'hidden'];
+const SETTING_KEYS = ['allowPostCreation', 'requireApproval', 'allowComments', 'allowPolls'];
+
+// Multipart bodies deliver nested values as strings; accept both shapes
+const parseMaybeJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+// Strict booleans: anything other than true/false (or their strings) is rejected
+const parseStrictBoolean = (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+};
+
+const parseList = (value) => {
+    const parsed = parseMaybeJson(value);
+    if (Array.isArray(parsed)) return parsed;
+    if (typeof parsed === 'string') return parsed.split(',');
+    return null;
+};
+
+/**
+ * Description, categories, tags and visibility. `visibility` and the older
+ * `isPrivate` flag are kept in step: setting one derives the other.
+ * @returns {{ updates?: Object, error?: string }}
+ */
+const parseDetailsUpdate = (body = {}) => {
+    const updates = {};
+
+    if (body.description !== undefined) {
+        const description = typeof body.description === 'string' ? body.description.trim() : '';
+        if (!description) {
+            return { error: 'Description cannot be empty.' };
+        }
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters.` };
+        }
+        updates.description = description;
+    }
+
+    if (body.categories !== undefined) {
+        const categories = parseList(body.categories);
+        if (!categories || categories.some(category => typeof category !== 'string')) {
+            return { error: 'Categories must be a list of category names.' };
+        }
+        const cleaned = [...new Set(categories.map(category => category.trim()).filter(Boolean))];
+        if (cleaned.length === 0) {
+            return { error: 'A community needs at least one category.' };
+        }
+        // Names are checked against the schema enum when the community is saved
+        updates.categories = cleaned;
+    }
+
+    if (body.tags !== undefined) {
+        const tags = parseList(body.tags);
+        if (!tags || tags.some(tag => typeof tag !== 'string')) {
+            return { error: 'Tags must be a list of strings.' };
+        }
+        const cleaned = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        if (cleaned.length > MAX_TAGS) {
+            return { error: `A community can have at most ${MAX_TAGS} tags.` };
+        }
+        if (cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return { error: `Tags cannot exceed ${MAX_TAG_LENGTH} characters.` };
+        }
+        updates.tags = cleaned;
+    }
+
+    if (body.visibility !== undefined && !VISIBILITIES.includes(body.visibility)) {
+        return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}.` };
+    }
+
+    let isPrivate;
+    if (body.isPrivate !== undefined) {
+        isPrivate = parseStrictBoolean(body.isPrivate);
+        if (isPrivate === undefined) {
+            return { error: 'isPrivate must be true or false.' };
+        }
+    }
+
+    if (body.visibility !== undefined) {
+        if (isPrivate !== undefined && isPrivate !== (body.visibility !== 'public')) {
+            return { error: 'isPrivate contradicts the requested visibility.' };
+        }
+        updates.visibility = body.visibility;
+        updates.isPrivate = body.visibility !== 'public';
+    } else if (isPrivate !== undefined) {
+        updates.isPrivate = isPrivate;
+        updates.visibility = isPrivate ? 'private' : 'public';
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { error: 'Nothing to update. Send description, categories, tags, visibility or isPrivate.' };
+    }
+
+    return { updates };
+};
+
+/**
+ * Replaces the rule list. Accepts { rules: [{ title, description }] }; an empty list clears it.
+ * @returns {{ updates?: Object, error?: string }}
+ */
+const parseRulesUpdate = (body = {}) => {
+    const rules = parseMaybeJson(body.rules);
+
+    if (!Array.isArray(rules)) {
+        return { error: 'Rules must be a list of { title, description }.' };
+    }
+    if (rules.length > MAX_RULES) {
+        return { error: `A community can have at most ${MAX_RULES} rules.` };
+    }
+
+    const cleaned = [];
+    for (const [index, rule] of rules.entries()) {
+        const title = typeof rule?.title === 'string' ? rule.title.trim() : '';
+        const description = typeof rule?.description === 'string' ? rule.description.trim() : '';
+
+        if (!title || !description) {
+            return { error: `Rule ${index + 1} needs a title and a description.` };
+        }
+        if (title.length > MAX_RULE_TITLE_LENGTH) {
+            return { error: `Rule titles cannot exceed ${MAX_RULE_TITLE_LENGTH} characters.` };
+        }
+        if (description.length > MAX_RULE_DESCRIPTION_LENGTH) {
+            return { error: `Rule descriptions cannot exceed ${MAX_RULE_DESCRIPTION_LENGTH} characters.` };
+        }
+        cleaned.push({ title, description });
+    }
+
+    return { updates: { rules: cleaned } };
+};
+
+/**
+ * Partial update of the boolean settings; settings that are not sent keep their value.
+ * @returns {{ updates?: Object, error?: string }}
+ */
+const parseSettingsUpdate = (body = {}) => {
+    const input = parseMaybeJson(body.settings !== undefined ? body.settings : body);
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Settings must be an object.' };
+    }
+
+    const unknown = Object.keys(input).filter(key => !SETTING_KEYS.includes(key));
+    if (unknown.length > 0) {
+        return { error: `Unknown setting(s): ${unknown.join(', ')}. Use: ${SETTING_KEYS.join(', ')}.` };
+    }
+
+    const updates = {};
+    for (const key of Object.keys(input)) {
+        const value = parseStrictBoolean(input[key]);
+        if (value === undefined) {
+            return { error: `${key} must be true or false.` };
+        }
+        updates[`settings.${key}`] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { error: `Nothing to update. Send any of: ${SETTING_KEYS.join(', ')}.` };
+    }
+
+    return { updates };
+};
+
+// The fields the management endpoints change, as sent to clients and the socket room
+const presentCommunitySettings = (community) => ({
+    _id: community._id,
+    name: community.name,
+    slug: community.slug,
+    description: community.description,
+    categories: community.categories,
+    tags: community.tags,
+    rules: community.rules,
+    settings: community.settings,
+    visibility: community.visibility,
+    isPrivate: community.isPrivate,
+    icon: community.icon,
+    coverImage: community.coverImage,
+    updatedAt: community.updatedAt
+});
+
+export {
+    SETTING_KEYS,
+    parseDetailsUpdate,
+    parseRulesUpdate,
+    parseSettingsUpdate,
+    presentCommunitySettings
+};
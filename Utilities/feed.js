@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import Post from '../Models/Post.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time windows accepted by the top and controversial sorts (?t=)
+const TIME_WINDOWS = {
+    hour: HOUR_MS,
+    day: 24 * HOUR_MS,
+    week: 7 * 24 * HOUR_MS,
+    month: 30 * 24 * HOUR_MS,
+    year: 365 * 24 * HOUR_MS,
+    all: null
+};
+
+// Rising only considers posts from the last day
+const RISING_WINDOW_MS = 24 * HOUR_MS;
+
+// Each sort orders by one stored field, with _id as the tie-breaker
+const FEED_SORTS = {
+    hot: { field: 'hotScore' },
+    new: { field: 'createdAt', isDate: true },
+    top: { field: 'voteCount', usesWindow: true },
+    controversial: { field: 'controversyScore', usesWindow: true },
+    rising: { field: 'risingScore' }
+};
+
+const DEFAULT_SORT = 'hot';
+const MAX_LIMIT = 100;
+
+const encodeCursor = (value, id) =>
+    Buffer.from(JSON.stringify([value, id.toString()])).toString('base64url');
+
+const decodeCursor = (cursor, sortConfig) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        const typedValue = sortConfig.isDate ? new Date(value) : Number(value);
+        if (Number.isNaN(sortConfig.isDate ? typedValue.getTime() : typedValue)) return null;
+        return { value: typedValue, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads the feed query parameters (?sort=&t=&limit=&cursor=&page=).
+ * @returns {{ error?: string, sort?: string, window?: string, limit?: number, cursor?: Object, page?: number }}
+ */
+const parseFeedOptions = (query = {}, defaults = {}) => {
+    const sort = query.sort || defaults.sort || DEFAULT_SORT;
+    const sortConfig = FEED_SORTS[sort];
+    if (!sortConfig) {
+        return { error: `Invalid sort. Use one of: ${Object.keys(FEED_SORTS).join(', ')}.` };
+    }
+
+    const window = query.t || defaults.t || (sort === 'top' ? 'day' : 'all');
+    if (!(window in TIME_WINDOWS)) {
+        return { error: `Invalid time window. Use one of: ${Object.keys(TIME_WINDOWS).join(', ')}.` };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaults.limit || 20, 1), MAX_LIMIT);
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor, sortConfig);
+        if (!cursor) return { error: 'Invalid cursor.' };
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+
+    return { sort, window, limit, cursor, page };
+};
+
+/**
+ * Builds the Mongo filter and sort for a ranked feed page.
+ * @param {Object} baseFilter - Which posts are eligible (community, author, etc.).
+ * @param {Object} options - Output of parseFeedOptions.
+ */
+const buildFeedQuery = (baseFilter, { sort, window, cursor }) => {
+    const { field, usesWindow } = FEED_SORTS[sort];
+    const conditions = [{ isDeleted: false, isApproved: true }, baseFilter];
+
+    const windowMs = sort === 'rising' ? RISING_WINDOW_MS : (usesWindow ? TIME_WINDOWS[window] : null);
+    if (windowMs) {
+        conditions.push({ createdAt: { $gte: new Date(Date.now() - windowMs) } });
+    }
+
+    if (cursor) {
+        conditions.push({
+            $or: [
+                { [field]: { $lt: cursor.value } },
+                { [field]: cursor.value, _id: { $lt: cursor.id } }
+            ]
+        });
+    }
+
+    return {
+        filter: { $and: conditions },
+        sort: { [field]: -1, _id: -1 }
+    };
+};
+
+/**
+ * Fetches one page of a ranked post feed.
+ * Cursor paging (?cursor=) is stable while posts are added or voted on;
+ * plain ?page= is still accepted for older clients.
+ * @param {Object} baseFilter - Which posts are eligible.
+ * @param {Object} options - Output of parseFeedOptions.
+ * @param {Object} [populate] - Set `community: true` to populate each post's community.
+ * @returns {Promise<{ posts: Array, nextCursor: string|null, hasMore: boolean }>}
+ */
+const fetchFeedPage = async (baseFilter, options, populate = {}) => {
+    const { filter, sort } = buildFeedQuery(baseFilter, options);
+    const { field } = FEED_SORTS[options.sort];
+
+    let query = Post.find(filter).sort(sort);
+    if (!options.cursor && options.page > 1) {
+        query = query.skip((options.page - 1) * options.limit);
+    }
+
+    query = query.limit(options.limit + 1).populate('author', 'username profileImage');
+    if (populate.community) {
+        query = query.populate('community', 'name slug icon');
+    }
+
+    const results = await query.lean();
+
+    const hasMore = results.length > options.limit;
+    const posts = hasMore ? results.slice(0, options.limit) : results;
+    const last = posts[posts.length - 1];
+
+    let nextCursor = null;
+    if (hasMore && last) {
+        const value = last[field] instanceof Date ? last[field].toISOString() : last[field];
+        nextCursor = encodeCursor(value, last._id);
+    }
+
+    return { posts, nextCursor, hasMore };
+};
+
+export { FEED_SORTS, TIME_WINDOWS, parseFeedOptions, buildFeedQuery, fetchFeedPage };
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { hashSecret } from './secretBox.js';
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Personal invitations
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 14;
+
+// Shareable invite links
+const DEFAULT_INVITE_LINK_HOURS = 7 * 24;
+const MAX_INVITE_LINK_HOURS = 30 * 24;
+const MAX_INVITE_LINK_USES = 1000;
+const INVITE_LINK_PREFIX_LENGTH = 6;
+
+/**
+ * New random invite-link token. The plaintext goes into the link shown once; only the hash is stored.
+ * @returns {{ token: string, tokenHash: string, prefix: string, url: string }}
+ */
+const generateInviteLinkToken = () => {
+    const token = crypto.randomBytes(18).toString('base64url');
+    return {
+        token,
+        tokenHash: hashSecret(token),
+        prefix: token.slice(0, INVITE_LINK_PREFIX_LENGTH),
+        url: inviteLinkUrl(token)
+    };
+};
+
+const hashInviteLinkToken = (token) => hashSecret(String(token));
+
+const inviteLinkUrl = (token) => `${CLIENT_URL}/invite/${token}`;
+
+/**
+ * Reads { maxUses?, expiresInHours? } for a new invite link.
+ * @returns {{ maxUses?: number|null, expiresAt?: Date, error?: string }}
+ */
+const parseInviteLinkInput = (body = {}) => {
+    let maxUses = null;
+    if (body.maxUses !== undefined && body.maxUses !== null) {
+        maxUses = Number(body.maxUses);
+        if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_LINK_USES) {
+            return { error: `maxUses must be a whole number between 1 and ${MAX_INVITE_LINK_USES}, or omitted for unlimited.` };
+        }
+    }
+
+    const hours = body.expiresInHours === undefined || body.expiresInHours === null
+        ? DEFAULT_INVITE_LINK_HOURS
+        : Number(body.expiresInHours);
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_INVITE_LINK_HOURS) {
+        return { error: `expiresInHours must be between 1 and ${MAX_INVITE_LINK_HOURS}.` };
+    }
+
+    return { maxUses, expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) };
+};
+
+export {
+    CLIENT_URL,
+    INVITATION_TTL_DAYS,
+    generateInviteLinkToken,
+    hashInviteLinkToken,
+    inviteLinkUrl,
+    parseInviteLinkInput
+};
@@ -0,0 +1,110 @@
+// Email templates. Each takes the template variables and returns { subject, text, html }.
+// Every interpolated value goes through escapeHtml in the HTML part.
+
+const APP_NAME = 'Discussify';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML frame so every message looks the same
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#7b8794;">You received this email from ${APP_NAME}. If this wasn't you, you can ignore it.</p>
+    </div>
+  </body>
+</html>`;
+
+const codeBlock = (code) =>
+    `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:24px 0;">${escapeHtml(code)}</p>`;
+
+const button = (url, label) =>
+    `<p style="margin:24px 0;"><a href="${escapeHtml(url)}" style="background:#3b82f6;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+
+const verifyEmail = ({ username, otp, expiresInMinutes = 10 }) => ({
+    subject: `Your ${APP_NAME} verification code`,
+    text: `Hi ${username},\n\nYour verification code is ${otp}. It expires in ${expiresInMinutes} minutes.`,
+    html: layout('Verify your email', `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Use this code to verify your email address:</p>
+      ${codeBlock(otp)}
+      <p>It expires in ${escapeHtml(expiresInMinutes)} minutes.</p>`)
+});
+
+const passwordReset = ({ username, otp, expiresInMinutes = 10 }) => ({
+    subject: `Your ${APP_NAME} password reset code`,
+    text: `Hi ${username},\n\nYour password reset code is ${otp}. It expires in ${expiresInMinutes} minutes.\nIf you did not ask to reset your password, you can ignore this email.`,
+    html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Use this code to reset your password:</p>
+      ${codeBlock(otp)}
+      <p>It expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not ask to reset your password, you can ignore this email.</p>`)
+});
+
+// Sent to the new address; the change only happens once this code is entered
+const emailChangeCode = ({ username, newEmail, otp, expiresInMinutes = 10 }) => ({
+    subject: `Confirm your new ${APP_NAME} email address`,
+    text: `Hi ${username},\n\nEnter ${otp} to make ${newEmail} the email address of your account. The code expires in ${expiresInMinutes} minutes.`,
+    html: layout('Confirm your new email', `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Enter this code to make <strong>${escapeHtml(newEmail)}</strong> the email address of your account:</p>
+      ${codeBlock(otp)}
+      <p>It expires in ${escapeHtml(expiresInMinutes)} minutes.</p>`)
+});
+
+// Sent to the old address when a change is requested and again when it completes
+const emailChangeNotice = ({ username, newEmail, completed }) => ({
+    subject: completed ? `Your ${APP_NAME} email address was changed` : `Email change requested on ${APP_NAME}`,
+    text: completed
+        ? `Hi ${username},\n\nThe email address of your account is now ${newEmail}. If you didn't do this, reset your password and contact support right away.`
+        : `Hi ${username},\n\nSomeone asked to change the email address of your account to ${newEmail}. Nothing changes until the new address is confirmed. If this wasn't you, change your password.`,
+    html: layout(completed ? 'Email address changed' : 'Email change requested', `
+      <p>Hi ${escapeHtml(username)},</p>
+      ${completed
+        ? `<p>The email address of your account is now <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p>If you didn't do this, reset your password and contact support right away.</p>`
+        : `<p>Someone asked to change the email address of your account to <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p>Nothing changes until the new address is confirmed. If this wasn't you, change your password.</p>`}`)
+});
+
+const accountDeletionScheduled = ({ username, scheduledFor }) => {
+    const date = new Date(scheduledFor).toUTCString();
+    return {
+        subject: `Your ${APP_NAME} account will be deleted`,
+        text: `Hi ${username},\n\nYour account is scheduled for deletion on ${date}. Changed your mind? Just log in before then and the deletion is cancelled.`,
+        html: layout('Account deletion scheduled', `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Your account is scheduled for deletion on <strong>${escapeHtml(date)}</strong>.</p>
+      <p>Changed your mind? Just log in before then and the deletion is cancelled.</p>`)
+    };
+};
+
+const communityInvite = ({ inviterName, communityName, url, isRegistered, expiresAt }) => {
+    const expiry = expiresAt ? `This invitation expires on ${new Date(expiresAt).toUTCString()}.` : '';
+    return {
+        subject: `${inviterName} invited you to ${communityName} on ${APP_NAME}`,
+        text: `${inviterName} has invited you to join the community "${communityName}" on ${APP_NAME}.\n\n`
+            + `${isRegistered ? 'View the invitation' : 'Create your account to accept'}: ${url}`
+            + (expiry ? `\n\n${expiry}` : ''),
+        html: layout(`Join ${communityName}`, `
+      <p><strong>${escapeHtml(inviterName)}</strong> has invited you to join the community <strong>${escapeHtml(communityName)}</strong>.</p>
+      ${button(url, isRegistered ? 'View invitation' : 'Create your account')}
+      ${expiry ? `<p>${escapeHtml(expiry)}</p>` : ''}`)
+    };
+};
+
+export default {
+    verifyEmail,
+    passwordReset,
+    emailChangeCode,
+    emailChangeNotice,
+    accountDeletionScheduled,
+    communityInvite
+};
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import templates from './mailTemplates.js';
+
+/**
+ * Pluggable mail delivery. MAIL_TRANSPORT selects the transport; without it, SMTP is used
+ * whenever SMTP_HOST is set and sending fails otherwise:
+ *  - smtp:    real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ *  - console: logs recipient and subject only; bodies carry codes, so they are never logged
+ *  - file:    writes each message as JSON into MAIL_OUTPUT_DIR (default: <tmp>/discussify-mail)
+ *  - capture: keeps messages in memory (see getCapturedMail) for tests
+ * Every transport exposes `send(message)` where message is { from, to, subject, text, html }.
+ */
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject} (body not logged)`);
+        return { messageId: `console-${Date.now()}` };
+    }
+});
+
+const createFileTransport = (directory = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'discussify-mail')) => ({
+    name: 'file',
+    send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+        const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        await fs.writeFile(
+            path.join(directory, `${messageId}.json`),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+        return { messageId };
+    }
+});
+
+const capturedMail = [];
+
+const createCaptureTransport = () => ({
+    name: 'capture',
+    send: async (message) => {
+        capturedMail.push({ ...message, sentAt: new Date() });
+        return { messageId: `capture-${capturedMail.length}` };
+    }
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    console: createConsoleTransport,
+    file: createFileTransport,
+    capture: createCaptureTransport
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+        if (!name) {
+            throw new Error(`Mail is not configured. Set SMTP_HOST, or MAIL_TRANSPORT to one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        if (!TRANSPORTS[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        activeTransport = TRANSPORTS[name]();
+    }
+    return activeTransport;
+};
+
+// Swap the transport at runtime (e.g. a capture transport in tests)
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+const getCapturedMail = () => [...capturedMail];
+
+const clearCapturedMail = () => {
+    capturedMail.length = 0;
+};
+
+/**
+ * Renders a template and delivers it through the active transport.
+ * @param {string} to - Recipient address.
+ * @param {string} templateName - A key of Utilities/mailTemplates.js.
+ * @param {Object} data - Template variables.
+ * @returns {Promise<Object>} The transport's delivery info.
+ */
+const sendMail = async (to, templateName, data = {}) => {
+    const template = templates[templateName];
+    if (!template) {
+        throw new Error(`Unknown mail template "${templateName}"`);
+    }
+
+    const { subject, text, html } = template(data);
+
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Discussify <no-reply@discussify.local>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+export {
+    sendMail,
+    setTransport,
+    createSmtpTransport,
+    createConsoleTransport,
+    createFileTransport,
+    createCaptureTransport,
+    getCapturedMail,
+    clearCapturedMail
+};
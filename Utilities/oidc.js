@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Generic OpenID Connect (authorization code + PKCE) client.
+ * Providers come from OIDC_PROVIDERS, a JSON array such as:
+ *   [{ "id": "google", "name": "Google", "issuer": "https://accounts.google.com",
+ *      "clientId": "...", "clientSecret": "...", "scope": "openid email profile" }]
+ * Optional per provider: redirectUri (default CLIENT_URL/auth/oidc/<id>/callback)
+ * and tokenAuthMethod ('client_secret_post' default, or 'client_secret_basic').
+ */
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+// Asymmetric algorithms only: "none" and HMAC (keyed with the public client secret) are refused
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let providers = null;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const loadProviders = () => {
+    if (providers) return providers;
+
+    let configured = [];
+    if (process.env.OIDC_PROVIDERS) {
+        try {
+            configured = JSON.parse(process.env.OIDC_PROVIDERS);
+        } catch {
+            throw new Error('OIDC_PROVIDERS must be a JSON array');
+        }
+    }
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    providers = new Map();
+    for (const provider of configured) {
+        if (!provider.id || !provider.issuer || !provider.clientId) {
+            throw new Error('Each OIDC provider needs an id, issuer and clientId');
+        }
+        providers.set(provider.id, {
+            name: provider.id,
+            scope: 'openid email profile',
+            tokenAuthMethod: 'client_secret_post',
+            redirectUri: `${clientUrl}/auth/oidc/${provider.id}/callback`,
+            ...provider,
+            issuer: provider.issuer.replace(/\/+$/, '')
+        });
+    }
+    return providers;
+};
+
+// Public view of the configured providers, for the login screen
+const listProviders = () => [...loadProviders().values()].map(({ id, name }) => ({ id, name }));
+
+const getProvider = (id) => loadProviders().get(id) || null;
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`${url} responded ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return body;
+};
+
+// Provider metadata from its discovery document, cached for an hour
+const discover = async (provider) => {
+    const cached = metadataCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+        throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${provider.issuer}`);
+    }
+
+    metadataCache.set(provider.id, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+    return metadata;
+};
+
+// PKCE (RFC 7636) verifier and its S256 challenge
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+};
+
+const randomToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * URL to send the browser to. The provider redirects back to provider.redirectUri with ?code&state.
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+    const metadata = await discover(provider);
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Trades the authorization code for the provider's tokens
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+    const metadata = await discover(provider);
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (provider.tokenAuthMethod === 'client_secret_basic') {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.clientId);
+        if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+    }
+
+    return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+// Signing key for a kid, refetching the JWKS once in case the provider rotated its keys
+const getSigningKey = async (provider, kid) => {
+    const metadata = await discover(provider);
+
+    const findKey = (jwks) => jwks.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let jwks = jwksCache.get(provider.id);
+    let jwk = jwks && findKey(jwks);
+    if (!jwk) {
+        jwks = await fetchJson(metadata.jwks_uri);
+        jwksCache.set(provider.id, jwks);
+        jwk = findKey(jwks);
+    }
+    if (!jwk) throw new Error('No matching signing key in the provider JWKS');
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verifies an ID token's signature, issuer, audience, expiry and nonce.
+ * @returns {Promise<Object>} The token's claims (sub, email, email_verified, name, ...).
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new Error('ID token is malformed or uses an unsupported algorithm');
+    }
+
+    const key = await getSigningKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: [provider.issuer, `${provider.issuer}/`],
+        audience: provider.clientId,
+        clockTolerance: 60
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match this login');
+    }
+    if (!claims.sub) {
+        throw new Error('ID token has no subject');
+    }
+
+    return claims;
+};
+
+export {
+    listProviders,
+    getProvider,
+    discover,
+    createPkcePair,
+    randomToken,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
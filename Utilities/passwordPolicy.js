@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Central password policy, used wherever a password is set (register, reset, change).
+ *  - PASSWORD_MIN_LENGTH:            minimum length (default 8)
+ *  - PASSWORD_MIN_CHARACTER_CLASSES: how many of lowercase/uppercase/digit/symbol are required (default 3)
+ *  - PASSWORD_BLOCKLIST_FILE:        list of common/breached passwords (default data/common-passwords.txt)
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+const PASSWORD_MIN_LENGTH = Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, 6);
+const PASSWORD_MIN_CHARACTER_CLASSES = Math.min(Math.max(parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3, 1), 4);
+// bcrypt ignores everything past 72 bytes, so longer passwords would be silently truncated
+const PASSWORD_MAX_BYTES = 72;
+// Usernames and email names shorter than this are too likely to appear by chance
+const MIN_PERSONAL_FRAGMENT = 3;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+let blocklist = null;
+
+// Loaded on first use; a missing file disables the check rather than every signup
+const getBlocklist = () => {
+    if (blocklist) return blocklist;
+
+    const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+    try {
+        blocklist = new Set(
+            fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    } catch (error) {
+        console.error(`🚨 Password blocklist unavailable (${file}):`, error.message);
+        blocklist = new Set();
+    }
+    return blocklist;
+};
+
+// "Password123!" is as guessable as "password", so trailing digits and symbols are ignored too
+const isCommonPassword = (password) => {
+    const list = getBlocklist();
+    const lowered = password.toLowerCase();
+    const stem = lowered.replace(/[^a-z]+$/, '');
+    return list.has(lowered) || (stem.length > 0 && list.has(stem));
+};
+
+const personalFragments = ({ username, email } = {}) => {
+    const fragments = [];
+    if (username) fragments.push(String(username).toLowerCase());
+    if (email) fragments.push(String(email).split('@')[0].toLowerCase());
+    return fragments.filter(fragment => fragment.length >= MIN_PERSONAL_FRAGMENT);
+};
+
+/**
+ * Checks a candidate password against the policy.
+ * @param {string} password
+ * @param {{ username?: string, email?: string }} [account] Whose password it will be.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+const validatePassword = (password, account = {}) => {
+    if (typeof password !== 'string' || password.length === 0)
+        return { valid: false, errors: ['Please provide a password.'] };
+
+    const errors = [];
+
+    if (password.length < PASSWORD_MIN_LENGTH)
+        errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`);
+
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES)
+        errors.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes long.`);
+
+    const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+    if (classes < PASSWORD_MIN_CHARACTER_CLASSES)
+        errors.push(`Password must contain at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, numbers, symbols.`);
+
+    const lowered = password.toLowerCase();
+    if (personalFragments(account).some(fragment => lowered.includes(fragment)))
+        errors.push('Password must not contain your username or email address.');
+
+    if (isCommonPassword(password))
+        errors.push('This password is too common or has appeared in a data breach. Please choose another.');
+
+    return { valid: errors.length === 0, errors };
+};
+
+// The rules in a form clients can show next to password fields
+const describePasswordPolicy = () => ({
+    minLength: PASSWORD_MIN_LENGTH,
+    maxBytes: PASSWORD_MAX_BYTES,
+    minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+    characterClasses: ['lowercase', 'uppercase', 'number', 'symbol'],
+    disallowPersonalInfo: true,
+    disallowCommonPasswords: true
+});
+
+export {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_BYTES,
+    validatePassword,
+    isCommonPassword,
+    describePasswordPolicy
+};
@@ -0,0 +1,50 @@
+// Platform-wide permissions for the /api/v1/admin surface.
+// Community-level roles (community admins/moderators) are separate and live on Community.members,
+// with the per-moderator permissions listed in COMMUNITY_PERMISSIONS below.
+
+const PERMISSIONS = {
+    VIEW_ANALYTICS: 'analytics:view',
+    VIEW_ACTIVITY: 'activity:view',
+    VIEW_COMMUNITIES: 'communities:view',
+    VIEW_USERS: 'users:view',
+    MANAGE_USERS: 'users:manage',
+    MODERATE_POSTS: 'posts:moderate'
+};
+
+// What each platform role (User.role) may do. Anything not listed is denied.
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    moderator: [
+        PERMISSIONS.VIEW_ACTIVITY,
+        PERMISSIONS.VIEW_COMMUNITIES,
+        PERMISSIONS.MODERATE_POSTS
+    ],
+    user: []
+};
+
+/**
+ * Checks whether a platform role grants a permission.
+ * @param {string} role - User.role ('user', 'moderator' or 'admin').
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// What a community moderator may be allowed to do. The community admin can do all of it.
+const COMMUNITY_PERMISSIONS = {
+    MANAGE_POSTS: 'manage_posts',       // remove/edit others' posts and comments, close polls
+    MANAGE_USERS: 'manage_users',       // ban, mute and handle members
+    MANAGE_SETTINGS: 'manage_settings', // details, rules, settings and branding
+    MANAGE_INVITES: 'manage_invites'    // invite people to the community
+};
+
+// Given to moderators appointed without an explicit permission list
+const DEFAULT_MODERATOR_PERMISSIONS = [COMMUNITY_PERMISSIONS.MANAGE_POSTS];
+
+export {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    COMMUNITY_PERMISSIONS,
+    DEFAULT_MODERATOR_PERMISSIONS
+};
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 200;
+
+// Multipart bodies deliver nested values as strings; accept both shapes
+const parseMaybeJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Validates the `poll` field of a create-post request.
+ * Accepts { question, options: [String], expiresAt?, durationHours?, allowMultipleVotes?, isAnonymous? }.
+ * @returns {{ poll?: Object, error?: string }}
+ */
+const parsePollInput = (rawPoll) => {
+    const input = parseMaybeJson(rawPoll);
+
+    if (!input || typeof input !== 'object') {
+        return { error: 'Poll details are required for poll posts.' };
+    }
+
+    const question = typeof input.question === 'string' ? input.question.trim() : '';
+    if (!question) {
+        return { error: 'Poll question is required.' };
+    }
+
+    const options = (Array.isArray(input.options) ? input.options : [])
+        .map(option => (typeof option === 'string' ? option : option?.text))
+        .map(text => (typeof text === 'string' ? text.trim() : ''))
+        .filter(Boolean);
+
+    if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+        return { error: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options.` };
+    }
+    if (new Set(options.map(text => text.toLowerCase())).size !== options.length) {
+        return { error: 'Poll options must be unique.' };
+    }
+    if (options.some(text => text.length > MAX_OPTION_LENGTH)) {
+        return { error: `Poll options cannot exceed ${MAX_OPTION_LENGTH} characters.` };
+    }
+
+    let expiresAt;
+    if (input.expiresAt) {
+        expiresAt = new Date(input.expiresAt);
+    } else if (input.durationHours) {
+        expiresAt = new Date(Date.now() + Number(input.durationHours) * 60 * 60 * 1000);
+    }
+    if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+        return { error: 'Poll expiry must be a valid date in the future.' };
+    }
+
+    return {
+        poll: {
+            question,
+            options: options.map(text => ({ text, votes: [] })),
+            expiresAt,
+            allowMultipleVotes: parseBoolean(input.allowMultipleVotes),
+            isAnonymous: input.isAnonymous === undefined ? true : parseBoolean(input.isAnonymous)
+        }
+    };
+};
+
+// A poll accepts votes until it is closed by a moderator/author or expires
+const isPollOpen = (poll) => {
+    if (!poll || poll.closedAt) return false;
+    return !poll.expiresAt || new Date(poll.expiresAt) > new Date();
+};
+
+// Query conditions matching only polls that still accept votes
+const openPollFilter = () => ({
+    type: 'poll',
+    'poll.closedAt': null,
+    $or: [{ 'poll.expiresAt': null }, { 'poll.expiresAt': { $gt: new Date() } }]
+});
+
+/**
+ * Builds an update pipeline that replaces a user's votes with `optionIds`
+ * in one atomic write (an empty list retracts the vote).
+ */
+const buildPollVotePipeline = (userId, optionIds) => {
+    const voter = [new mongoose.Types.ObjectId(userId.toString())];
+    const selected = optionIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+    return [{
+        $set: {
+            'poll.options': {
+                $map: {
+                    input: '$poll.options',
+                    as: 'option',
+                    in: {
+                        $mergeObjects: ['$$option', {
+                            votes: {
+                                $cond: [
+                                    { $in: ['$$option._id', selected] },
+                                    { $setUnion: [{ $ifNull: ['$$option.votes', []] }, voter] },
+                                    { $setDifference: [{ $ifNull: ['$$option.votes', []] }, voter] }
+                                ]
+                            }
+                        }]
+                    }
+                }
+            }
+        }
+    }];
+};
+
+/**
+ * Turns a stored poll into its public shape: per-option counts and percentages,
+ * never the raw vote arrays. `userId` adds the caller's own selection;
+ * `includeVoters` lists voters per option (only honoured for non-anonymous polls,
+ * and expects `options.votes` to be populated).
+ */
+const tallyPoll = (poll, { userId = null, includeVoters = false } = {}) => {
+    if (!poll) return poll;
+
+    const options = poll.options || [];
+    const voterIds = new Set();
+    options.forEach(option => (option.votes || []).forEach(vote => voterIds.add((vote._id || vote).toString())));
+
+    const totalVotes = options.reduce((sum, option) => sum + (option.votes || []).length, 0);
+    const userIdStr = userId ? userId.toString() : null;
+
+    const tally = {
+        question: poll.question,
+        allowMultipleVotes: poll.allowMultipleVotes,
+        isAnonymous: poll.isAnonymous !== false,
+        expiresAt: poll.expiresAt,
+        closedAt: poll.closedAt,
+        isOpen: isPollOpen(poll),
+        totalVotes,
+        totalVoters: voterIds.size,
+        options: options.map(option => {
+            const votes = option.votes || [];
+            const result = {
+                _id: option._id,
+                text: option.text,
+                voteCount: votes.length,
+                percentage: totalVotes ? Math.round((votes.length / totalVotes) * 1000) / 10 : 0
+            };
+            if (includeVoters && poll.isAnonymous === false) {
+                result.voters = votes;
+            }
+            return result;
+        })
+    };
+
+    if (userIdStr) {
+        tally.userVotes = options
+            .filter(option => (option.votes || []).some(vote => (vote._id || vote).toString() === userIdStr))
+            .map(option => option._id);
+    }
+
+    return tally;
+};
+
+export { parsePollInput, isPollOpen, openPollFilter, buildPollVotePipeline, tallyPoll };
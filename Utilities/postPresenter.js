@@ -0,0 +1,30 @@
+import { getUserVote } from './votes.js';
+import { tallyPoll } from './polls.js';
+
+/**
+ * Shapes a lean post for API responses and socket broadcasts.
+ * Poll vote arrays are replaced by a tally so voters stay anonymous;
+ * when `userId` is given, the caller's own vote state is added.
+ * @param {Object} post - A lean post document.
+ * @param {ObjectId|string|null} userId - The requesting user, or null for broadcasts.
+ * @returns {Object} A new object safe to send to clients.
+ */
+const presentPost = (post, userId = null) => {
+    if (!post) return post;
+
+    const presented = { ...post };
+
+    if (presented.type === 'poll') {
+        presented.poll = tallyPoll(presented.poll, { userId });
+    } else {
+        delete presented.poll;
+    }
+
+    if (userId) {
+        presented.userVote = getUserVote(presented, userId);
+    }
+
+    return presented;
+};
+
+export { presentPost };
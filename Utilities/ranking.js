@@ -0,0 +1,137 @@
+/**
+ * Post ranking scores used by the hot, controversial and rising feed sorts.
+ *
+ * Every score is stored on the post and only changes when the post is voted on,
+ * never with the passage of time. That keeps cursor pagination stable: a post's
+ * position cannot shift between two page requests unless someone votes on it.
+ * Each formula exists twice, as plain JS (for saves) and as an aggregation
+ * expression (for atomic pipeline updates), and the two must stay in sync.
+ */
+
+// Reference point for time-based scores; any fixed instant works
+const RANKING_EPOCH_MS = Date.UTC(2024, 0, 1);
+
+// Hot: a post needs 10x the votes to outrank one posted this much later
+const HOT_DECAY_MS = 45000 * 1000;
+
+// Rising: upvote velocity decays by a factor of e over this period
+const RISING_DECAY_MS = 3 * 60 * 60 * 1000;
+
+// Zero-vote posts start with a tiny virtual velocity (e^-10 upvotes) so they
+// still have a score and sort by recency below any recently upvoted post
+const RISING_FLOOR = -10;
+
+const hotScore = (voteCount, createdAt) => {
+    const order = Math.log10(Math.max(Math.abs(voteCount), 1));
+    const sign = Math.sign(voteCount);
+    return sign * order + (new Date(createdAt).getTime() - RANKING_EPOCH_MS) / HOT_DECAY_MS;
+};
+
+const controversyScore = (upvoteCount, downvoteCount) => {
+    if (upvoteCount <= 0 || downvoteCount <= 0) return 0;
+    const magnitude = upvoteCount + downvoteCount;
+    const balance = Math.min(upvoteCount, downvoteCount) / Math.max(upvoteCount, downvoteCount);
+    return Math.pow(magnitude, balance);
+};
+
+const initialRisingScore = (createdAt) =>
+    (new Date(createdAt).getTime() - RANKING_EPOCH_MS) / RISING_DECAY_MS + RISING_FLOOR;
+
+/**
+ * Computes the vote-derived scores of a post document.
+ * @returns {{ hotScore: number, controversyScore: number }}
+ */
+const computeRankings = (post) => {
+    const upvoteCount = (post.upvotes || []).length;
+    const downvoteCount = (post.downvotes || []).length;
+    return {
+        hotScore: hotScore(upvoteCount - downvoteCount, post.createdAt || Date.now()),
+        controversyScore: controversyScore(upvoteCount, downvoteCount)
+    };
+};
+
+// --- Aggregation expression equivalents ---
+
+const elapsedSinceEpoch = (dateExpr) => ({ $subtract: [{ $toLong: dateExpr }, RANKING_EPOCH_MS] });
+
+const upCount = { $size: { $ifNull: ['$upvotes', []] } };
+const downCount = { $size: { $ifNull: ['$downvotes', []] } };
+
+const hotScoreExpr = {
+    $add: [
+        {
+            $multiply: [
+                { $cmp: [{ $subtract: [upCount, downCount] }, 0] },
+                { $log10: { $max: [{ $abs: { $subtract: [upCount, downCount] } }, 1] } }
+            ]
+        },
+        { $divide: [elapsedSinceEpoch('$createdAt'), HOT_DECAY_MS] }
+    ]
+};
+
+const controversyScoreExpr = {
+    $cond: [
+        { $or: [{ $lte: [upCount, 0] }, { $lte: [downCount, 0] }] },
+        0,
+        {
+            $pow: [
+                { $add: [upCount, downCount] },
+                { $divide: [{ $min: [upCount, downCount] }, { $max: [upCount, downCount] }] }
+            ]
+        }
+    ]
+};
+
+const initialRisingScoreExpr = {
+    $add: [{ $divide: [elapsedSinceEpoch('$createdAt'), RISING_DECAY_MS] }, RISING_FLOOR]
+};
+
+/**
+ * Pipeline stages that refresh the stored scores after a vote.
+ * `previousUpvoteCountField` must hold the upvote count from before the vote;
+ * any gained upvotes are folded into the decayed rising velocity using
+ * log-sum-exp, so the stored value is ln(velocity) + time / RISING_DECAY_MS.
+ */
+const buildRankingStages = (previousUpvoteCountField) => {
+    const gained = { $subtract: [upCount, `$${previousUpvoteCountField}`] };
+    const current = { $ifNull: ['$risingScore', initialRisingScoreExpr] };
+    const now = { $divide: [elapsedSinceEpoch('$$NOW'), RISING_DECAY_MS] };
+
+    return [
+        {
+            $set: {
+                hotScore: hotScoreExpr,
+                controversyScore: controversyScoreExpr,
+                risingScore: {
+                    $cond: [
+                        { $gt: [gained, 0] },
+                        {
+                            $let: {
+                                vars: {
+                                    a: current,
+                                    b: { $add: [now, { $ln: gained }] }
+                                },
+                                in: {
+                                    $add: [
+                                        { $max: ['$$a', '$$b'] },
+                                        { $ln: { $add: [1, { $exp: { $subtract: [{ $min: ['$$a', '$$b'] }, { $max: ['$$a', '$$b'] }] } }] } }
+                                    ]
+                                }
+                            }
+                        },
+                        current
+                    ]
+                }
+            }
+        }
+    ];
+};
+
+export {
+    computeRankings,
+    initialRisingScore,
+    hotScoreExpr,
+    controversyScoreExpr,
+    initialRisingScoreExpr,
+    buildRankingStages
+};
@@ -0,0 +1,138 @@
+import RateLimit from '../Models/RateLimit.js';
+
+/**
+ * Pluggable counter storage for rate limiting and lockouts. RATE_LIMIT_STORE selects the backend:
+ *  - memory: per-process Map (default; fine for a single instance)
+ *  - mongo:  shared RateLimit collection, so every instance sees the same counters
+ * Every store exposes:
+ *  - increment(key, windowMs) -> { count, expiresAt }  (starts a new window once the old one expired)
+ *  - get(key)                 -> { count, expiresAt } | null
+ *  - set(key, count, ttlMs)   -> { count, expiresAt }
+ *  - reset(key)
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const live = (key, now = Date.now()) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt.getTime() <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Drop expired entries now and then so idle keys don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const key of entries.keys()) live(key, now);
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const entry = live(key);
+            if (entry) {
+                entry.count += 1;
+                return { ...entry };
+            }
+            const fresh = { count: 1, expiresAt: new Date(Date.now() + windowMs) };
+            entries.set(key, fresh);
+            return { ...fresh };
+        },
+        get: async (key) => {
+            const entry = live(key);
+            return entry ? { ...entry } : null;
+        },
+        set: async (key, count, ttlMs) => {
+            const entry = { count, expiresAt: new Date(Date.now() + ttlMs) };
+            entries.set(key, entry);
+            return { ...entry };
+        },
+        reset: async (key) => {
+            entries.delete(key);
+        }
+    };
+};
+
+const createMongoStore = () => {
+    // Single atomic update: restart the window if it has expired, otherwise count up
+    const incrementOnce = (key, windowMs) => {
+        const now = new Date();
+        const expired = { $not: [{ $gt: ['$expiresAt', now] }] };
+
+        return RateLimit.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+                        expiresAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$expiresAt'] }
+                    }
+                }
+            ],
+            { upsert: true, new: true, updatePipeline: true }
+        ).lean();
+    };
+
+    return {
+        name: 'mongo',
+        increment: async (key, windowMs) => {
+            let entry;
+            try {
+                entry = await incrementOnce(key, windowMs);
+            } catch (error) {
+                // Two first hits raced on the upsert; the loser retries against the winner's document
+                if (error.code !== 11000) throw error;
+                entry = await incrementOnce(key, windowMs);
+            }
+            return { count: entry.count, expiresAt: entry.expiresAt };
+        },
+        get: async (key) => {
+            const entry = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+            return entry ? { count: entry.count, expiresAt: entry.expiresAt } : null;
+        },
+        set: async (key, count, ttlMs) => {
+            const expiresAt = new Date(Date.now() + ttlMs);
+            await RateLimit.updateOne({ key }, { $set: { count, expiresAt } }, { upsert: true });
+            return { count, expiresAt };
+        },
+        reset: async (key) => {
+            await RateLimit.deleteOne({ key });
+        }
+    };
+};
+
+const STORES = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+let activeStore = null;
+
+const getStore = () => {
+    if (!activeStore) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!STORES[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+        }
+        activeStore = STORES[name]();
+    }
+    return activeStore;
+};
+
+// Swap the store at runtime (e.g. a fresh memory store in tests)
+const setStore = (store) => {
+    activeStore = store;
+};
+
+export {
+    getStore,
+    setStore,
+    createMemoryStore,
+    createMongoStore
+};
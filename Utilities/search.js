@@ -0,0 +1,66 @@
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Splits a search string into the plain terms worth highlighting
+ * (drops quotes and negated "-terms", which Mongo $text also understands).
+ */
+const extractSearchTerms = (query) => query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.toLowerCase());
+
+/**
+ * Returns a short, HTML-escaped excerpt of `text` around the first matched term,
+ * with every match wrapped in <mark>. Returns null when nothing matches.
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+    if (!text || terms.length === 0) return null;
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const firstMatch = pattern.exec(text);
+    if (!firstMatch) return null;
+
+    const start = Math.max(firstMatch.index - radius, 0);
+    const end = Math.min(firstMatch.index + firstMatch[0].length + radius, text.length);
+    const excerpt = text.slice(start, end);
+
+    // Escape piece by piece so the <mark> tags are the only markup in the result
+    let snippet = '';
+    let lastIndex = 0;
+    for (const match of excerpt.matchAll(new RegExp(pattern.source, 'gi'))) {
+        snippet += escapeHtml(excerpt.slice(lastIndex, match.index));
+        snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(lastIndex));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Builds the highlight list for a search hit.
+ * @param {Object} doc - The matched document.
+ * @param {string[]} fields - Fields to check, in display order.
+ * @param {string[]} terms - Output of extractSearchTerms.
+ * @returns {Array<{ field: string, snippet: string }>}
+ */
+const buildHighlights = (doc, fields, terms) => fields
+    .map(field => {
+        const value = doc[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        const snippet = typeof text === 'string' ? buildSnippet(text, terms) : null;
+        return snippet ? { field, snippet } : null;
+    })
+    .filter(Boolean);
+
+export { extractSearchTerms, buildSnippet, buildHighlights };
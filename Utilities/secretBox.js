@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds).
+// The key comes from SECRET_ENCRYPTION_KEY, falling back to JWT_SECRET.
+const getKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+// Returns "iv.authTag.ciphertext", each part base64url-encoded
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// One-way hash for secrets that only ever need comparing (recovery codes, tokens)
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Keyed hash for short, guessable secrets (6-digit OTPs): a leaked hash can't be brute-forced without the key
+const keyedHash = (secret) => crypto.createHmac('sha256', getKey()).update(secret).digest('hex');
+
+// Constant-time comparison of two hex digests
+const digestsMatch = (a, b) => {
+    const left = Buffer.from(String(a), 'hex');
+    const right = Buffer.from(String(b), 'hex');
+    return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+};
+
+export { encryptSecret, decryptSecret, hashSecret, keyedHash, digestsMatch };
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import Session from '../Models/Session.js';
+import signToken, { ACCESS_TOKEN_EXPIRES_IN } from './signToken.js';
+import { hashSecret } from './secretBox.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const describeClient = (req) => ({
+    deviceName: (req.body && req.body.deviceName) || undefined,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+});
+
+const buildTokens = (userId, session, secret) => ({
+    token: signToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+/**
+ * Starts a new session for a user on the requesting device.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string, session: Object }>}
+ */
+const createSession = async (userId, req) => {
+    const secret = newSecret();
+    const session = await Session.create({
+        user: userId,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        ...describeClient(req)
+    });
+
+    return { ...buildTokens(userId, session, secret), session };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * The swap is a single conditional update, so a refresh token works exactly once.
+ * Replaying an already-rotated token revokes the whole session.
+ * @returns {Promise<{ error?: string, token?: string, refreshToken?: string, expiresIn?: string, session?: Object }>}
+ */
+const rotateSession = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { error: 'Invalid refresh token' };
+
+    const presentedHash = hashSecret(parsed.secret);
+    const secret = newSecret();
+
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: presentedHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(secret),
+                previousTokenHash: presentedHash,
+                lastUsedAt: new Date(),
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        await Session.updateOne(
+            { _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+        );
+        return { error: 'Invalid or expired refresh token' };
+    }
+
+    return { ...buildTokens(session.user, session, secret), session };
+};
+
+// Checks that an access token's session is still usable
+const isSessionActive = (sessionId, userId) => Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Revokes one of a user's sessions.
+ * @returns {Promise<boolean>} Whether an active session was revoked.
+ */
+const revokeSession = async (sessionId, userId, reason = 'logout') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one (the caller's).
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+};
+
+export {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions
+};
@@ -1,11 +1,13 @@
 import jwt from 'jsonwebtoken';
 
-const JWT_SECRET = process.env.JWT_SECRET ;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
-const signToken = id => {
-    return jwt.sign({ id }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRES_IN
+// Short-lived access token bound to a session (sid), so revoking the session revokes the token
+const signToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
     });
 };
-export default signToken;
\ No newline at end of file
+
+export { ACCESS_TOKEN_EXPIRES_IN };
+export default signToken;
@@ -0,0 +1,104 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Community from '../Models/Community.js';
+import ApiToken from '../Models/ApiToken.js';
+import { isSessionActive } from './sessions.js';
+import { isApiToken, hashApiToken, tokenAllowsCommunity } from './apiTokens.js';
+
+/**
+ * Socket.io side of community access. Sockets may connect anonymously (public rooms only)
+ * or with the same credentials as the REST API, sent as `auth: { token }` in the handshake.
+ */
+
+const handshakeToken = (socket) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    if (auth.token) return auth.token;
+    if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+        return headers.authorization.split(' ')[1];
+    }
+    return null;
+};
+
+// io.use() middleware: sets socket.data.userId (null when anonymous) and socket.data.apiToken
+const authenticateSocket = async (socket, next) => {
+    socket.data.userId = null;
+    socket.data.apiToken = null;
+
+    const token = handshakeToken(socket);
+    if (!token) return next();
+
+    try {
+        if (isApiToken(token)) {
+            const apiToken = await ApiToken.findOne({
+                tokenHash: hashApiToken(token),
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            }).lean();
+
+            if (!apiToken || !apiToken.scopes.includes('read')) {
+                return next(new Error('Invalid API token or missing "read" scope'));
+            }
+            socket.data.userId = apiToken.user.toString();
+            socket.data.apiToken = { scopes: apiToken.scopes, communities: apiToken.communities };
+            return next();
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+            return next(new Error('Session expired or revoked, please log in again'));
+        }
+        socket.data.userId = decoded.id.toString();
+        next();
+    } catch (error) {
+        next(new Error('Invalid token'));
+    }
+};
+
+/**
+ * Whether a socket may join a community's room: the community must exist, the user must not
+ * be banned, and private or hidden communities are for members only.
+ * @returns {Promise<{ allowed: boolean, message?: string }>}
+ */
+const canJoinCommunityRoom = async (socket, communityId) => {
+    if (typeof communityId !== 'string' || !mongoose.Types.ObjectId.isValid(communityId)) {
+        return { allowed: false, message: 'Invalid community ID.' };
+    }
+
+    const community = await Community.findById(communityId)
+        .select('isActive visibility isPrivate members.user bannedUsers');
+    if (!community || !community.isActive) {
+        return { allowed: false, message: 'Community not found.' };
+    }
+
+    const { userId, apiToken } = socket.data;
+
+    if (apiToken && !tokenAllowsCommunity({ apiToken }, community._id)) {
+        return { allowed: false, message: 'This API token is not allowed to act in this community.' };
+    }
+
+    if (userId && community.isBanned(userId)) {
+        return { allowed: false, message: 'You are banned from this community.' };
+    }
+
+    const isRestricted = community.visibility !== 'public' || community.isPrivate;
+    if (isRestricted && (!userId || !community.isMember(userId))) {
+        return { allowed: false, message: 'Join the community to receive its updates.' };
+    }
+
+    return { allowed: true };
+};
+
+// Takes a user's open sockets out of a community room (after a ban) and tells them why
+const removeUserFromCommunityRoom = async (io, communityId, userId, reason) => {
+    const room = communityId.toString();
+    const sockets = await io.in(room).fetchSockets();
+
+    for (const socket of sockets) {
+        if (socket.data.userId === userId.toString()) {
+            socket.leave(room);
+            socket.emit('communityAccessRevoked', { communityId: room, reason });
+        }
+    }
+};
+
+export { authenticateSocket, canJoinCommunityRoom, removeUserFromCommunityRoom };
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+// RFC 4648 base32 alphabet, as used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+    step: 30,
+    digits: 6,
+    algorithm: 'sha1',
+    t0: 0
+};
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// Secrets may be given as raw bytes or as the base32 string shown to users
+const toKey = (secret) => (Buffer.isBuffer(secret) ? secret : base32Decode(secret));
+
+/**
+ * HOTP value for a counter (RFC 4226).
+ * @returns {string} Zero-padded code.
+ */
+const hotp = (secret, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, toKey(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+// The RFC 6238 time step that `time` (ms since epoch) falls into
+const timeStep = (time = Date.now(), { step = DEFAULTS.step, t0 = DEFAULTS.t0 } = {}) =>
+    Math.floor((Math.floor(time / 1000) - t0) / step);
+
+/**
+ * TOTP value at a given time (RFC 6238).
+ * @param {Buffer|string} secret - Raw key or base32 string.
+ * @param {Object} [options] - { time (ms), step, digits, algorithm ('sha1'|'sha256'|'sha512'), t0 }
+ * @returns {string} Zero-padded code.
+ */
+const generateTOTP = (secret, options = {}) => {
+    const settings = { ...DEFAULTS, ...options };
+    return hotp(secret, timeStep(options.time, settings), settings);
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift).
+ * @returns {number|null} The matching time step (store it to refuse replays), or null.
+ */
+const verifyTOTP = (token, secret, options = {}) => {
+    const settings = { ...DEFAULTS, window: 1, ...options };
+    const code = String(token || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${settings.digits}}$`).test(code)) return null;
+
+    const current = timeStep(options.time, settings);
+    for (let offset = -settings.window; offset <= settings.window; offset++) {
+        const candidate = hotp(secret, current + offset, settings);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+            return current + offset;
+        }
+    }
+    return null;
+};
+
+// New random secret, base32-encoded (160 bits, as recommended by RFC 4226)
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * otpauth:// provisioning URI; clients render it as the enrollment QR code.
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: DEFAULTS.algorithm.toUpperCase(),
+        digits: String(DEFAULTS.digits),
+        period: String(DEFAULTS.step)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+    base32Encode,
+    base32Decode,
+    hotp,
+    generateTOTP,
+    verifyTOTP,
+    generateSecret,
+    buildOtpAuthUri
+};
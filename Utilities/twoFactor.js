@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../Models/UserModel.js';
+import { verifyTOTP } from './totp.js';
+import { decryptSecret, hashSecret } from './secretBox.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Recovery codes are shown once as "xxxxx-xxxxx"; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashSecret(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Checks a TOTP code against an encrypted secret and atomically records its
+ * time step, so the same code cannot be used twice.
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (userId, encryptedSecret, code) => {
+    const step = verifyTOTP(code, decryptSecret(encryptedSecret));
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Removes a recovery code in the same write that checks it exists (single use)
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+    const hash = hashSecret(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Verifies the second factor of a user with 2FA enabled, from either a TOTP code
+ * or a recovery code.
+ * @returns {Promise<{ valid: boolean, usedRecoveryCode?: boolean }>}
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) {
+        return { valid: false };
+    }
+
+    if (code) {
+        return { valid: await consumeTotpCode(user._id, user.twoFactor.secret, code) };
+    }
+    if (recoveryCode) {
+        return { valid: await consumeRecoveryCode(user._id, recoveryCode), usedRecoveryCode: true };
+    }
+    return { valid: false };
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const signChallengeToken = (userId) => jwt.sign(
+    { id: userId, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+// Returns the user id of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+    } catch {
+        return null;
+    }
+};
+
+export {
+    generateRecoveryCodes,
+    consumeTotpCode,
+    verifySecondFactor,
+    signChallengeToken,
+    verifyChallengeToken
+};
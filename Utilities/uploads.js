@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { UPLOADS_DIR } from '../config.js';
+
+/**
+ * Maps a stored upload reference to its file on disk. References come in two
+ * shapes: "uploads/<file>" (profile images) and "<API_BASE_URL>/uploads/<file>"
+ * (post media). Anything that doesn't point into uploads/ returns null.
+ */
+const resolveUploadPath = (reference) => {
+    if (typeof reference !== 'string') return null;
+
+    const match = /(?:^|\/)uploads\/([^/?#]+)$/.exec(reference);
+    if (!match) return null;
+
+    // basename() again so a crafted reference can't climb out of the uploads directory
+    return path.join(UPLOADS_DIR, path.basename(match[1]));
+};
+
+// Deletes an uploaded file, ignoring references that are missing or external
+const removeUpload = async (reference) => {
+    const filePath = resolveUploadPath(reference);
+    if (!filePath) return false;
+
+    try {
+        await fs.unlink(filePath);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not delete upload ${filePath}:`, error.message);
+        return false;
+    }
+};
+
+// Drops files multer already stored for a request that is being refused
+const discardRequestUploads = (req) => {
+    const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())]
+        .filter(Boolean);
+    return Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+export { resolveUploadPath, removeUpload, discardRequestUploads };
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const VOTE_DIRECTIONS = ['up', 'down', 'clear'];
+
+/**
+ * Builds an update pipeline that records a user's vote in a single atomic write.
+ * The user is added to (or removed from) `upvotes`/`downvotes` and `voteCount`
+ * is recomputed from the resulting arrays, so concurrent votes never overwrite
+ * each other the way a load-modify-save would.
+ * Must be run with the `updatePipeline: true` query option.
+ * @param {ObjectId|string} userId - The voting user.
+ * @param {'up'|'down'|'clear'} direction - The vote to record.
+ * @returns {Array} The update pipeline.
+ */
+const buildVotePipeline = (userId, direction) => {
+    // Pipelines are not cast by Mongoose, so the id must already be an ObjectId
+    const voter = [new mongoose.Types.ObjectId(userId.toString())];
+    const add = (field) => ({ $setUnion: [{ $ifNull: [`$${field}`, []] }, voter] });
+    const remove = (field) => ({ $setDifference: [{ $ifNull: [`$${field}`, []] }, voter] });
+
+    return [
+        {
+            $set: {
+                upvotes: direction === 'up' ? add('upvotes') : remove('upvotes'),
+                downvotes: direction === 'down' ? add('downvotes') : remove('downvotes')
+            }
+        },
+        {
+            $set: {
+                voteCount: { $subtract: [{ $size: '$upvotes' }, { $size: '$downvotes' }] }
+            }
+        }
+    ];
+};
+
+/**
+ * Returns the vote a user has cast on a post or comment.
+ * @returns {'up'|'down'|null}
+ */
+const getUserVote = (doc, userId) => {
+    const userIdStr = userId.toString();
+    if ((doc.upvotes || []).some(id => id.toString() === userIdStr)) return 'up';
+    if ((doc.downvotes || []).some(id => id.toString() === userIdStr)) return 'down';
+    return null;
+};
+
+export { VOTE_DIRECTIONS, buildVotePipeline, getUserVote };
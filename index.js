@@ -1,5 +1,7 @@
 // src/index.js (REWRITTEN)
 
+// First, so modules that read process.env while loading see the values from .env
+import 'dotenv/config';
 import express from 'express';
 import http from 'http'; // Import http
 import { Server } from 'socket.io'; // Import Socket.io Server
@@ -11,10 +13,12 @@ import communityRouter from './Routes/communityRoutes.js';
 import postRouter from './Routes/postRoutes.js'; // NEW: Import Post Routes
 import { handleMulterError } from './Middlewares/upload.js';
 import connectDB from './DB/connectDB.js';
-import dotenv from 'dotenv';
 import adminRouter from './Routes/adminRoutes.js';
-
-dotenv.config();
+import searchRouter from './Routes/searchRoutes.js';
+import { ensureSuperAdmin } from './Utilities/bootstrapAdmin.js';
+import { startAccountPurgeSchedule } from './Utilities/accountDeletion.js';
+import { startRestrictionExpirySchedule } from './Utilities/communityRestrictions.js';
+import { authenticateSocket, canJoinCommunityRoom } from './Utilities/socketRooms.js';
 
 const app = express();
 const server = http.createServer(app); // Create HTTP server
@@ -25,10 +29,30 @@ const io = new Server(server, {
     }
 });
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Attach io to the Express app for use in controllers
 app.set('io', io);
 
-connectDB();
+// First run: seed the super admin when ADMIN_EMAIL/ADMIN_PASSWORD are configured
+connectDB()
+    .then(() => ensureSuperAdmin())
+    .then(({ status, user }) => {
+        if (status === 'created' || status === 'promoted') {
+            console.log(`👑 Super admin ${user.email} ${status}`);
+        } else if (status === 'unverified') {
+            console.warn(`⚠️ Not promoting ${user.email} to super admin: the account's email is not verified`);
+        }
+    })
+    .catch(error => console.error('Super admin bootstrap failed:', error.message));
+
+// Accounts whose deletion grace period ended are purged hourly
+startAccountPurgeSchedule();
+// Expired community bans and mutes are cleared hourly (checks already ignore them)
+startRestrictionExpirySchedule();
 
 // Middleware setup
 app.use(cors());
@@ -39,13 +63,29 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Socket.io Connection Logic
+// Sockets may authenticate with auth: { token } (session JWT or API token); anonymous ones only see public rooms
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}`);
 
-    // Join a community room for real-time updates
-    socket.on('joinCommunity', (communityId) => {
-        socket.join(communityId);
-        console.log(`Socket ${socket.id} joined room: ${communityId}`);
+    // Join a community room for real-time updates; the optional ack reports refusals
+    socket.on('joinCommunity', async (communityId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const { allowed, message } = await canJoinCommunityRoom(socket, communityId);
+            if (!allowed) {
+                console.log(`Socket ${socket.id} refused room ${communityId}: ${message}`);
+                return reply({ success: false, message });
+            }
+
+            socket.join(communityId);
+            console.log(`Socket ${socket.id} joined room: ${communityId}`);
+            reply({ success: true });
+        } catch (error) {
+            console.error('Socket joinCommunity failed:', error.message);
+            reply({ success: false, message: 'Could not join the community room.' });
+        }
     });
 
     // Leave a community room
@@ -65,6 +105,7 @@ app.use('/api/v1/notifications', notificationRouter);
 app.use('/api/v1/communities', communityRouter);
 app.use('/api/v1/posts', postRouter); 
 app.use('/api/v1/admin', adminRouter);
+app.use('/api/v1/search', searchRouter);
 
 // Multer error handler (MUST be after routes)
 app.use(handleMulterError);
@@ -0,0 +1,35 @@
+// Copies each post's community onto its comments, for comments created before
+// Comment.community existed. Search only returns comments whose community is known.
+// Run once: npm run backfill:comment-communities
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import Post from '../Models/Post.js';
+import Comment from '../Models/Comment.js';
+
+const run = async () => {
+    await connectDB();
+
+    const postIds = await Comment.distinct('post', { community: { $exists: false } });
+    let updated = 0;
+
+    for (const postId of postIds) {
+        const post = await Post.findById(postId).select('community').lean();
+        if (!post) continue;
+
+        const result = await Comment.updateMany(
+            { post: postId, community: { $exists: false } },
+            { $set: { community: post.community } }
+        );
+        updated += result.modifiedCount;
+    }
+
+    console.log(`✅ Set community on ${updated} comments.`);
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Comment community backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
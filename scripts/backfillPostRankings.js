@@ -0,0 +1,32 @@
+// Recomputes the stored feed scores (hot, controversial, rising) of every post.
+// Run once after deploying ranked feeds: npm run backfill:rankings
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import Post from '../Models/Post.js';
+import { hotScoreExpr, controversyScoreExpr, initialRisingScoreExpr } from '../Utilities/ranking.js';
+
+const run = async () => {
+    await connectDB();
+
+    const result = await Post.updateMany(
+        {},
+        [{
+            $set: {
+                hotScore: hotScoreExpr,
+                controversyScore: controversyScoreExpr,
+                risingScore: { $ifNull: ['$risingScore', initialRisingScoreExpr] }
+            }
+        }],
+        { updatePipeline: true }
+    );
+
+    console.log(`✅ Recomputed rankings for ${result.modifiedCount} posts.`);
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Ranking backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+// Removes the plaintext OTP fields that used to live on User documents
+// (emailVerificationOTP, otpExpires, resetPasswordToken, resetPasswordExpires).
+// Codes now live hashed in OneTimeToken; affected users just request a new code.
+// Run once: npm run cleanup:legacy-otps
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import User from '../Models/UserModel.js';
+
+const LEGACY_FIELDS = ['emailVerificationOTP', 'otpExpires', 'resetPasswordToken', 'resetPasswordExpires'];
+
+const run = async () => {
+    await connectDB();
+
+    // The fields are gone from the schema, so update the raw collection
+    const result = await User.collection.updateMany(
+        { $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } })) },
+        { $unset: Object.fromEntries(LEGACY_FIELDS.map(field => [field, ''])) }
+    );
+
+    console.log(`✅ Removed plaintext codes from ${result.modifiedCount} users.`);
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Legacy OTP cleanup failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
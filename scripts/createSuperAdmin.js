@@ -0,0 +1,25 @@
+// Seeds the platform super-admin from ADMIN_EMAIL / ADMIN_PASSWORD / ADMIN_USERNAME.
+// Usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run seed:admin
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import { ensureSuperAdmin } from '../Utilities/bootstrapAdmin.js';
+
+const run = async () => {
+    if (!process.env.ADMIN_EMAIL) {
+        throw new Error('ADMIN_EMAIL is not set');
+    }
+
+    await connectDB();
+
+    const { status, user } = await ensureSuperAdmin();
+    console.log(`✅ Super admin ${user.email} ${status}.`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Super admin seeding failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+});
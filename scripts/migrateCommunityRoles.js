@@ -0,0 +1,91 @@
+// Makes members[].role the single source of truth for community roles. Folds the old
+// Community.moderators array into the member entries (adding missing ones), makes sure the
+// admin's entry says 'admin' and nobody else's does, gives moderators their permissions, and
+// drops the old array. Safe to run more than once.
+// Run once: npm run migrate:community-roles
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import Community from '../Models/Community.js';
+import { COMMUNITY_PERMISSIONS } from '../Utilities/permissions.js';
+
+// What moderators could do before permissions existed: moderate content, handle members, invite
+const LEGACY_MODERATOR_PERMISSIONS = [
+    COMMUNITY_PERMISSIONS.MANAGE_POSTS,
+    COMMUNITY_PERMISSIONS.MANAGE_USERS,
+    COMMUNITY_PERMISSIONS.MANAGE_INVITES
+];
+
+const normalizeMembers = (community) => {
+    const adminId = community.admin.toString();
+    const legacyModerators = new Set((community.moderators || []).map(id => id.toString()));
+    const members = (community.members || []).filter(member => member.user);
+    const seen = new Set();
+
+    const normalized = members
+        .filter(member => {
+            const id = member.user.toString();
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .map(member => {
+            const id = member.user.toString();
+            let role = member.role || 'member';
+
+            if (id === adminId) role = 'admin';
+            else if (role === 'admin' || legacyModerators.has(id)) role = 'moderator';
+
+            const permissions = role === 'moderator'
+                ? (member.permissions && member.permissions.length > 0 ? member.permissions : LEGACY_MODERATOR_PERMISSIONS)
+                : [];
+
+            return { ...member, role, permissions };
+        });
+
+    // The admin and every legacy moderator must be members
+    if (!seen.has(adminId)) {
+        normalized.push({ user: community.admin, joinedAt: community.createdAt || new Date(), role: 'admin', permissions: [] });
+        seen.add(adminId);
+    }
+    for (const id of legacyModerators) {
+        if (seen.has(id)) continue;
+        normalized.push({
+            user: new mongoose.Types.ObjectId(id),
+            joinedAt: new Date(),
+            role: 'moderator',
+            permissions: LEGACY_MODERATOR_PERMISSIONS
+        });
+        seen.add(id);
+    }
+
+    return normalized;
+};
+
+const run = async () => {
+    await connectDB();
+
+    // Raw documents: `moderators` is no longer part of the schema
+    const cursor = Community.collection.find({}, { projection: { admin: 1, moderators: 1, members: 1, createdAt: 1 } });
+    let updated = 0;
+
+    for await (const community of cursor) {
+        if (!community.admin) continue;
+
+        const members = normalizeMembers(community);
+        await Community.collection.updateOne(
+            { _id: community._id },
+            { $set: { members, memberCount: members.length }, $unset: { moderators: 1 } }
+        );
+        updated += 1;
+    }
+
+    console.log(`✅ Migrated roles in ${updated} communities.`);
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Community role migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
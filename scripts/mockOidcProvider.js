@@ -0,0 +1,98 @@
+// A tiny local OpenID Connect provider for trying out and testing social login.
+// It signs every authorization request in immediately as a fixed user (override
+// per request with ?login_hint=<email>), supports PKCE (S256) and signs RS256 ID tokens.
+// Run: npm run mock:oidc, then point OIDC_PROVIDERS at it (the config is printed on start).
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'discussify-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'discussify-local-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+    if (!redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+        return res.status(400).send('redirect_uri and an S256 code_challenge are required');
+    }
+
+    const email = (login_hint || DEFAULT_EMAIL).toLowerCase();
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, email, expiresAt: Date.now() + 60 * 1000 });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+    let { client_id, client_secret } = req.body;
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+    if (basic) {
+        [client_id, client_secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+    if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+        {
+            sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+            email: grant.email,
+            email_verified: true,
+            name: grant.email.split('@')[0],
+            nonce: grant.nonce
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock OIDC provider running at ${ISSUER}`);
+    console.log('Add this to .env:');
+    console.log(`OIDC_PROVIDERS=${JSON.stringify([{ id: 'mock', name: 'Mock Provider', issuer: ISSUER, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET }])}`);
+});
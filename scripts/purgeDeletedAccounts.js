@@ -0,0 +1,22 @@
+// Purges every account whose deletion grace period has ended. The API does this
+// hourly on its own; run this from cron when the API runs with several instances
+// or to purge right away: npm run purge:deleted-accounts
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../DB/connectDB.js';
+import { purgeDueAccounts } from '../Utilities/accountDeletion.js';
+
+const run = async () => {
+    await connectDB();
+
+    const purged = await purgeDueAccounts();
+
+    console.log(`✅ Purged ${purged} account(s).`);
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('Account purge failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
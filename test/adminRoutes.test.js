@@ -0,0 +1,93 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../Models/UserModel.js';
+import Session from '../Models/Session.js';
+import signToken from '../Utilities/signToken.js';
+import adminRouter from '../Routes/adminRoutes.js';
+
+// A regular user with a live session goes through the real protect -> requireSession ->
+// authorize -> requirePermission chain. Only the two database lookups that chain makes are
+// stubbed, so no MongoDB is needed.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'admin-routes-test-secret';
+
+const regularUser = {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'regular',
+    role: 'user',
+    isActive: true
+};
+const sessionId = new mongoose.Types.ObjectId();
+
+const ADMIN_ROUTES = [
+    ['get', '/analytics'],
+    ['get', '/activity-feed'],
+    ['get', '/communities'],
+    ['get', '/communities/:communityId/posts'],
+    ['get', '/users'],
+    ['patch', '/users/:userId'],
+    ['put', '/users/:userId/promote'],
+    ['put', '/users/:userId/demote'],
+    ['delete', '/posts/:postId'],
+    ['put', '/posts/:postId/edit'],
+    ['put', '/posts/:postId/report'],
+    ['put', '/posts/:postId/reports/resolve']
+];
+
+const toUrl = (path) => path.replace(/:\w+/g, new mongoose.Types.ObjectId().toString());
+
+let server;
+let baseUrl;
+
+before(async () => {
+    // protect logs every verified token; keep that out of the test runner's output
+    mock.method(console, 'log', () => {});
+    mock.method(Session, 'exists', async (filter) => (
+        filter._id === sessionId.toString() && filter.user === regularUser._id.toString() ? { _id: sessionId } : null
+    ));
+    mock.method(User, 'findById', (id) => ({
+        select: async () => (id === regularUser._id.toString() ? regularUser : null)
+    }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/admin', adminRouter);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/admin`;
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+test('the route table below covers every admin route', () => {
+    const registered = adminRouter.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method} ${layer.route.path}`));
+
+    assert.deepEqual(registered.sort(), ADMIN_ROUTES.map(([method, path]) => `${method} ${path}`).sort());
+});
+
+for (const [method, path] of ADMIN_ROUTES) {
+    test(`a regular user gets 403 on ${method.toUpperCase()} ${path}`, async () => {
+        const response = await fetch(`${baseUrl}${toUrl(path)}`, {
+            method: method.toUpperCase(),
+            headers: {
+                Authorization: `Bearer ${signToken(regularUser._id.toString(), sessionId.toString())}`,
+                'Content-Type': 'application/json'
+            },
+            body: method === 'get' ? undefined : JSON.stringify({})
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 403);
+        assert.equal(body.success, false);
+        // Refused by the role check, i.e. after authentication and the session check passed
+        assert.match(body.message, /Role user is not authorized/);
+    });
+}
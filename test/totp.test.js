@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, hotp, generateTOTP, verifyTOTP } from '../Utilities/totp.js';
+
+// RFC 6238 Appendix B, SHA-1 rows: the ASCII key "12345678901234567890", 8 digits, 30 s steps
+const RFC6238_SECRET = Buffer.from('12345678901234567890', 'ascii');
+const RFC6238_SHA1_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+for (const [seconds, expected] of RFC6238_SHA1_VECTORS) {
+    test(`generateTOTP matches RFC 6238 at T=${seconds}`, () => {
+        assert.equal(generateTOTP(RFC6238_SECRET, { time: seconds * 1000, digits: 8 }), expected);
+    });
+}
+
+test('the base32 form of the RFC key gives the same codes', () => {
+    const base32 = base32Encode(RFC6238_SECRET);
+    assert.equal(base32, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.deepEqual(base32Decode(base32), RFC6238_SECRET);
+    assert.equal(generateTOTP(base32, { time: 59 * 1000, digits: 8 }), '94287082');
+});
+
+test('hotp matches the RFC 4226 Appendix D values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => assert.equal(hotp(RFC6238_SECRET, counter), code));
+});
+
+test('verifyTOTP accepts one step of drift and returns the matching step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+    const previous = generateTOTP(RFC6238_SECRET, { time: time - 30 * 1000 });
+
+    assert.equal(verifyTOTP(generateTOTP(RFC6238_SECRET, { time }), RFC6238_SECRET, { time }), step);
+    assert.equal(verifyTOTP(previous, RFC6238_SECRET, { time }), step - 1);
+    assert.equal(verifyTOTP(previous, RFC6238_SECRET, { time, window: 0 }), null);
+    assert.equal(verifyTOTP('12ab56', RFC6238_SECRET, { time }), null);
+});